@@ -233,7 +233,7 @@ class ActorWfrp4e extends Actor {
         }, 0)
 
         // Use the assigned roll function (see DiceWFRP.prepareTest() to see how this roll function is assigned)
-        roll(testData, cardOptions);
+        return roll(testData, cardOptions);
       }
     };
 
@@ -241,12 +241,18 @@ class ActorWfrp4e extends Actor {
     {
       dialogOptions.data.testDifficulty = "average"
     }
+    else if (options.testDifficulty)
+    {
+      dialogOptions.data.testDifficulty = options.testDifficulty
+    }
+
+    this._addConditionModifiers(dialogOptions, characteristicId)
 
     // Call the universal cardOptions helper
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/characteristic-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions
@@ -260,11 +266,16 @@ class ActorWfrp4e extends Actor {
    * However, there is more complication if the skill is instead for an Income test, which adds computation after the roll is
    * completed.
    *
+   * Skill tests may also be Extended Tests, where the SL of each roll is accumulated towards a target SL. An ongoing
+   * Extended Test for the skill prefills the dialog (unless the roll is marked as not part of it), see extendedOverride()
+   * for how the SL is tracked.
+   *
    * @param {Object} skill    The skill item being tested. Skill items contain the advancements and the base characteristic, see template.json for more information.
    * @param {bool}   income   Whether or not the skill is being tested to determine Income.
    */
   setupSkill(skill, options = {}) {
     let title = skill.name + " " + game.i18n.localize("Test");
+    let extendedTest = (this.data.flags.extendedTests || []).find(t => t.name == skill.name);
     let testData = {
       hitLocation : false,
       triggers : this.data.flags.triggers,
@@ -296,7 +307,10 @@ class ActorWfrp4e extends Actor {
         characteristicList : WFRP4E.characteristics,
         characteristicToUse : skill.data.characteristic.value,
         advantage : this.data.data.status.advantage.value || 0,
-        testDifficulty : options.income || options.rest ? "average" : "challenging" // Default to average if using income or rest & recover
+        testDifficulty : options.testDifficulty || (options.income || options.rest ? "average" : "challenging"), // Default to average if using income or rest & recover
+        extendedAllowed : !options.income && !options.rest,
+        extendedTest : extendedTest,
+        extendedTarget : options.extended || (extendedTest ? extendedTest.target : "")
       },
       callback : (html, roll) => {
         // When dialog confirmed, fill testData dialog information
@@ -322,9 +336,17 @@ class ActorWfrp4e extends Actor {
           return prev + Number(cur)
         }, 0)
 
+        // A target SL makes this an Extended Test, which uses its own roll handler to accumulate SL
+        let extendedTarget = Number(html.find('[name="extendedTarget"]').val());
+        if (extendedTarget > 0 && !html.find('[name="extendedSkip"]').is(':checked'))
+        {
+          testData.extendedTest = {name : skill.name, target : extendedTarget};
+          roll = this.constructor.extendedOverride;
+        }
+
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions)
+        return roll(testData, cardOptions)
       }
     };
 
@@ -334,12 +356,20 @@ class ActorWfrp4e extends Actor {
      dialogOptions.rollOverride = this.constructor.incomeOverride;
      dialogOptions.data.testDifficulty = "average";
     }
+    // If bypassing the dialog with a target SL, the callback above isn't used, so assign the Extended Test handler here
+    else if (options.extended && options.bypass)
+    {
+      testData.extendedTest = {name : skill.name, target : Number(options.extended)};
+      dialogOptions.rollOverride = this.constructor.extendedOverride;
+    }
+
+    this._addConditionModifiers(dialogOptions, skill.data.characteristic.value, skill.name)
 
     // Call the universal cardOptions helper
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/skill-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
@@ -360,8 +390,17 @@ class ActorWfrp4e extends Actor {
     let slBonus = 0   // Used when wielding Defensive weapons
     let modifier = event.modifier || 0; // Used when atatcking with Accurate weapons
     let successBonus = 0;
+    let modifierSources = []; // Where the prefilled values come from, displayed in the dialog
     let title = game.i18n.localize("WeaponTest") + " - " + weapon.name;
 
+    // Lost or broken limbs leave only one hand to wield with
+    let injury = InjuryWFRP.cannotWield(this, weapon);
+    if (injury)
+    {
+      ui.notifications.error(injury)
+      return
+    }
+
     // Prepare the weapon to have the complete data object, including qualities/flaws, damage value, etc.
     let wep = this.prepareWeaponCombat(duplicate(weapon));
     let ammo; // Ammo object, if needed
@@ -437,35 +476,19 @@ class ActorWfrp4e extends Actor {
         {
           // If it is NOT the actor's turn
           if (currentTurn && this.data.token != currentTurn.actor.data.token)
-            slBonus = this.data.flags.defensive; // Prefill Defensive values (see prepareItems() for how defensive flags are assigned)
+            slBonus = this._prefillDefensive(modifierSources); // Prefill Defensive values (see prepareItems() for how defensive flags are assigned)
 
           else // If it is the actor's turn
-          {
-            // Prefill dialog according to qualities/flaws
-            if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Accurate")))
-              modifier += 10;
-            if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Precise")))
-              successBonus += 1;
-            if (wep.properties.flaws.includes(game.i18n.localize("PROPERTY.Imprecise")))
-              slBonus -= 1;
-          }
+            [modifier, successBonus, slBonus] = this._prefillWeaponProperties(wep, modifier, successBonus, slBonus, modifierSources)
         }
         else // If the actor is not a token
         {
           // If it is NOT the actor's turn
           if (currentTurn && currentTurn.tokenId != this.token._id)
-            slBonus = this.data.flags.defensive;
+            slBonus = this._prefillDefensive(modifierSources);
 
           else // If it is the actor's turn
-          {
-            // Prefill dialog according to qualities/flaws
-            if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Accurate")))
-              modifier += 10;
-            if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Precise")))
-              successBonus += 1;
-            if (wep.properties.flaws.includes(game.i18n.localize("PROPERTY.Imprecise")))
-              slBonus -= 1;
-          }
+            [modifier, successBonus, slBonus] = this._prefillWeaponProperties(wep, modifier, successBonus, slBonus, modifierSources)
         }
       }
       catch // If something went wrong, default to 0 for all prefilled data
@@ -473,9 +496,18 @@ class ActorWfrp4e extends Actor {
         slBonus = 0;
         successBonus = 0;
         modifier = 0;
+        modifierSources = [];
       }
     }
 
+    // Psychologies against the targets (Hatred, Animosity) and Frenzy add to melee attacks
+    if (wep.attackType == "melee")
+    {
+      let psychology = PsychologyWFRP.weaponModifiers(this, modifierSources);
+      slBonus = (slBonus || 0) + psychology.slBonus;
+      wep.data.damage.value += psychology.damage;
+    }
+
     // Setup dialog data: title, template, buttons, prefilled data
     let dialogOptions = {
       title: title,
@@ -490,7 +522,8 @@ class ActorWfrp4e extends Actor {
         testDifficulty: options.difficulty,
         modifier : modifier || 0,
         defaultSelection : defaultSelection,
-        advantage : this.data.data.status.advantage.value || 0
+        advantage : this.data.data.status.advantage.value || 0,
+        modifierSources : modifierSources
       },
       callback : (html, roll) => {
         // When dialog confirmed, fill testData dialog information
@@ -536,7 +569,7 @@ class ActorWfrp4e extends Actor {
 
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions);
+        let result = roll(testData, cardOptions);
 
         // Reduce ammo if necessary
         if (ammo && skillSelected != game.i18n.localize("CHAR.WS") && weapon.data.weaponGroup.value != game.i18n.localize("SPEC.Entangling"))
@@ -544,23 +577,66 @@ class ActorWfrp4e extends Actor {
           ammo.data.quantity.value--;
           this.updateEmbeddedEntity("OwnedItem", {_id: ammo._id, "data.quantity.value" : ammo.data.quantity.value });
         }
+        return result;
       },
 
       // Override the default test evaluation to use specialized rollWeaponTest function
       rollOverride : this.constructor.weaponOverride
     };
 
+    this._addConditionModifiers(dialogOptions, wep.attackType == "melee" ? "ws" : "bs", wep.skillToUse ? wep.skillToUse.name : undefined)
+
     // Call the universal cardOptions helper
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/weapon-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
   }
 
 
+  /**
+   * Defensive weapons wielded add SL when it is not the actor's turn
+   * 
+   * @param {Array} modifierSources   Sources of the prefilled values, to which Defensive is added
+   */
+  _prefillDefensive(modifierSources)
+  {
+    let defensive = this.data.flags.defensive;
+    if (defensive)
+      modifierSources.push({source : game.i18n.localize("PROPERTY.Defensive"), value : `+${defensive} ${game.i18n.localize("SL")}`})
+    return defensive;
+  }
+
+  /**
+   * Prefill the weapon test according to the qualities/flaws of the weapon used on the actor's turn
+   * 
+   * @param {Object} wep              Weapon prepared for combat
+   * @param {Array} modifierSources   Sources of the prefilled values, to which each quality/flaw used is added
+   * @returns {Array} modifier, success bonus and SL bonus
+   */
+  _prefillWeaponProperties(wep, modifier, successBonus, slBonus, modifierSources)
+  {
+    if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Accurate")))
+    {
+      modifier += 10;
+      modifierSources.push({source : game.i18n.localize("PROPERTY.Accurate"), value : "+10"})
+    }
+    if (wep.properties.qualities.includes(game.i18n.localize("PROPERTY.Precise")))
+    {
+      successBonus += 1;
+      modifierSources.push({source : game.i18n.localize("PROPERTY.Precise"), value : `+1 ${game.i18n.localize("DIALOG.SuccessBonus")}`})
+    }
+    if (wep.properties.flaws.includes(game.i18n.localize("PROPERTY.Imprecise")))
+    {
+      slBonus -= 1;
+      modifierSources.push({source : game.i18n.localize("PROPERTY.Imprecise"), value : `-1 ${game.i18n.localize("SL")}`})
+    }
+    return [modifier, successBonus, slBonus];
+  }
+
   /**
    * Display a dialog for the user to choose casting or channelling.
    *
@@ -707,7 +783,7 @@ class ActorWfrp4e extends Actor {
 
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions);
+        return roll(testData, cardOptions);
       },
       // Override the default test evaluation to use specialized rollCastTest function
       rollOverride : this.constructor.castOverride
@@ -717,7 +793,7 @@ class ActorWfrp4e extends Actor {
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/spell-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
@@ -840,7 +916,7 @@ class ActorWfrp4e extends Actor {
 
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions);
+        return roll(testData, cardOptions);
       },
       // Override the default test evaluation to use specialized rollCastTest function
       rollOverride : this.constructor.channellOverride
@@ -850,7 +926,7 @@ class ActorWfrp4e extends Actor {
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/channel-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
@@ -945,7 +1021,7 @@ class ActorWfrp4e extends Actor {
 
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions);
+        return roll(testData, cardOptions);
       },
       // Override the default test evaluation to use specialized rollPrayerTest function
       rollOverride : this.constructor.prayerOverride
@@ -955,7 +1031,7 @@ class ActorWfrp4e extends Actor {
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/prayer-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
@@ -1026,7 +1102,7 @@ class ActorWfrp4e extends Actor {
 
         // Use the assigned roll function (see below for how rollOverride is assigned, and then
         // DiceWFRP.prepareTest() for more info on how the override is used, if any)
-        roll(testData, cardOptions);
+        return roll(testData, cardOptions);
         },
       // Override the default test evaluation to use a specialized function to handle traits
       rollOverride : this.constructor.traitOverride
@@ -1036,7 +1112,7 @@ class ActorWfrp4e extends Actor {
     let cardOptions = this._setupCardOptions("systems/wfrp4e/templates/chat/skill-card.html", title)
 
     // Provide these 3 objects to prepareTest() to create the dialog and assign the roll function
-    DiceWFRP.prepareTest({
+    return DiceWFRP.prepareTest({
       dialogOptions : dialogOptions,
       testData : testData,
       cardOptions : cardOptions});
@@ -1088,6 +1164,185 @@ class ActorWfrp4e extends Actor {
     return cardOptions
   }
 
+  /**
+   * Roll a Skill or Characteristic Test without a dialog, for use by macros and modules.
+   *
+   * If the actor doesn't have the skill, a Basic skill is tested untrained (characteristic only),
+   * while an Advanced skill cannot be tested.
+   *
+   * @example
+   * let result = await actor.test({skill : "Perception", difficulty : "hard", chatCard : false})
+   * if (result.outcome == "success") ...
+   *
+   * @param {String} skill          Name of the skill to test (or skill item data)
+   * @param {String} characteristic Characteristic key to test if no skill is given (e.g. "wp")
+   * @param {String} difficulty     Difficulty key (see WFRP4E.difficultyModifiers)
+   * @param {Number} modifier       Modifier added to the target number
+   * @param {Number} slBonus        SL always added to the result
+   * @param {Number} successBonus   SL added to the result on a success
+   * @param {bool}   hitLocation    Whether to roll hit location, defaults to the same as the sheet would
+   * @param {String} rollMode       Roll mode of the card, defaults to the current roll mode
+   * @param {bool}   chatCard       Whether to post the test to chat
+   * @returns {Object} Test result (roll, SL, outcome, critical, fumble, hitloc, description, etc.)
+   */
+  async test({skill, characteristic, difficulty = "challenging", modifier = 0, slBonus = 0, successBonus = 0, hitLocation, rollMode, chatCard = true} = {})
+  {
+    let options = {
+      bypass : true,
+      testDifficulty : difficulty,
+      testModifier : modifier,
+      slBonus : slBonus,
+      successBonus : successBonus,
+      hitLocation : hitLocation,
+      rollMode : rollMode || game.settings.get("core", "rollMode"),
+      suppressMessage : !chatCard
+    }
+
+    let result;
+    if (skill)
+    {
+      let skillName = typeof skill == "string" ? skill : skill.name;
+      let ownedSkill = this.items.find(i => i.type == "skill" && i.name == skillName)
+      if (ownedSkill)
+        result = await this.setupSkill(ownedSkill.data, options);
+      else
+      {
+        let compendiumSkill = (await WFRP_Utility.findSkill(skillName)).data;
+        if (compendiumSkill.data.advanced.value == "adv")
+          throw game.i18n.format("Error.UntrainedAdvancedSkill", {skill : skillName})
+        result = await this.setupCharacteristic(compendiumSkill.data.characteristic.value, options);
+      }
+    }
+    else if (characteristic)
+      result = await this.setupCharacteristic(characteristic, options);
+    else
+      throw game.i18n.localize("Error.NoTest")
+
+    if (result)
+    {
+      result.critical = !!result.extra.color_green;
+      result.fumble = !!result.extra.color_red;
+    }
+    return result;
+  }
+
+  /**
+   * Number of a condition the actor has (0 if none, 1 for non numeric conditions such as Prone).
+   * 
+   * Conditions are stored in the conditions flag, {condition key : number}, and displayed as token status effects.
+   * 
+   * @param {String} condition  Condition key (see WFRP4E.conditions)
+   */
+  hasCondition(condition)
+  {
+    return (this.data.flags.conditions || {})[condition] || 0
+  }
+
+  /**
+   * Add conditions to the actor. Non numeric conditions (Prone) do not stack.
+   * 
+   * @param {String} condition  Condition key (see WFRP4E.conditions)
+   * @param {Number} value      Number of conditions to add
+   */
+  addCondition(condition, value = 1)
+  {
+    let total = this.hasCondition(condition) + value;
+    if (!WFRP_Utility.isNumericCondition(condition))
+      total = Math.min(total, 1);
+    return this._setCondition(condition, total)
+  }
+
+  /**
+   * Remove conditions from the actor
+   * 
+   * @param {String} condition  Condition key (see WFRP4E.conditions)
+   * @param {Number} value      Number of conditions to remove, all of them if not given
+   */
+  removeCondition(condition, value)
+  {
+    let total = value ? Math.max(this.hasCondition(condition) - value, 0) : 0;
+    return this._setCondition(condition, total)
+  }
+
+  /**
+   * Store the conditions given by a token's status effects, used when they are toggled on the token itself
+   * 
+   * @param {Array} effects     Status effects (file paths) of the token
+   */
+  syncConditions(effects)
+  {
+    let conditions = this._allConditions(WFRP_Utility.countConditions(effects))
+    if (!Object.keys(conditions).some(c => conditions[c] != this.hasCondition(c)))
+      return;
+    return this.update({"flags.conditions" : conditions})
+  }
+
+  async _setCondition(condition, value)
+  {
+    let conditions = this._allConditions(this.data.flags.conditions);
+    conditions[condition] = value;
+    await this.update({"flags.conditions" : conditions})
+
+    // Keep the condition icons of the actor's tokens up to date
+    let tokens = this.isToken ? [this.token] : this.getActiveTokens(true);
+    for (let token of tokens)
+      await token.update({effects : WFRP_Utility.conditionEffects(token.data.effects, conditions)})
+  }
+
+  // Conditions are always stored with every key, so that updates replace the ones removed
+  _allConditions(conditions = {})
+  {
+    let allConditions = {};
+    for (let condition in WFRP4E.conditions)
+      allConditions[condition] = conditions[condition] || 0;
+    return allConditions;
+  }
+
+  /**
+   * Test modifiers caused by the actor's conditions (see WFRP4E.conditionModifiers)
+   * 
+   * @param {String} characteristic   Characteristic the test is based on
+   * @param {String} skill            Name of the skill tested, if any
+   * @returns {Array} Modifiers, {source, value}
+   */
+  conditionModifiers(characteristic, skill)
+  {
+    let modifiers = [];
+    for (let condition in WFRP4E.conditionModifiers)
+    {
+      let count = this.hasCondition(condition);
+      let penalty = WFRP4E.conditionModifiers[condition];
+      if (!count)
+        continue;
+
+      let matchesSkill = names => skill && (names || []).some(n => skill.includes(game.i18n.localize(n)));
+      if (matchesSkill(penalty.except))
+        continue;
+      if (penalty.all || (penalty.characteristics || []).includes(characteristic) || matchesSkill(penalty.skills))
+      {
+        let source = WFRP4E.conditions[condition] + (WFRP_Utility.isNumericCondition(condition) ? ` ${count}` : "")
+        modifiers.push({source, value : penalty.value * count})
+      }
+    }
+    return modifiers;
+  }
+
+  /**
+   * Add condition and disease symptom penalties to the prefilled modifier of a test dialog, listing where each comes from
+   * 
+   * @param {Object} dialogOptions    Dialog options of the test being set up
+   * @param {String} characteristic   Characteristic the test is based on
+   * @param {String} skill            Name of the skill tested, if any
+   */
+  _addConditionModifiers(dialogOptions, characteristic, skill)
+  {
+    let modifiers = this.conditionModifiers(characteristic, skill).concat(DiseaseWFRP.modifiers(this, characteristic), InjuryWFRP.modifiers(this, characteristic, skill));
+    let total = modifiers.reduce((sum, m) => sum + m.value, 0);
+    dialogOptions.data.modifier = (dialogOptions.data.modifier || 0) + total;
+    dialogOptions.data.conditionModifier = total;
+    dialogOptions.data.modifierSources = (dialogOptions.data.modifierSources || []).concat(modifiers);
+  }
+
   /* --------------------------------------------------------------------------------------------------------- */
   /* --------------------------------------------- Roll Overides --------------------------------------------- */
   /* --------------------------------------------------------------------------------------------------------- */
@@ -1097,7 +1352,8 @@ class ActorWfrp4e extends Actor {
    * weaponOverride() calls DiceWFRP.rollWeaponTest(). Additionally, any post-roll logic that needs to be performed
    * is done here. For example, Income tests use incomeOverride, which determines how much money is made after the
    * roll is completed. A normal Skill Test does not go through this process, instead using defaultRoll override,
-   * however both overrides just use the standard DiceWFRP.rollTest().
+   * however both overrides just use the standard DiceWFRP.rollTest(). Every override returns the test result, which
+   * is what the setup functions (and test()) resolve to.
    *
   /* --------------------------------------------------------------------------------------------------------- */
 
@@ -1129,6 +1385,8 @@ class ActorWfrp4e extends Actor {
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
     })
+
+    return result;
   }
 
   /**
@@ -1216,6 +1474,36 @@ class ActorWfrp4e extends Actor {
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg)
     })
+    return result;
+  }
+
+  /**
+   * extendedOverride is used for Extended Tests, see setupSkill() for how it's assigned.
+   *
+   * After the normal test evaluation, the SL rolled is added to the actor's tracker for that skill.
+   * Editing the card or rerolling it (Fortune, Dark Deal) reuses the same testData, which remembers
+   * the SL the tracker had before this roll, so the previous result is not counted twice.
+   *
+   * @param {Object} testData         All the data needed to evaluate test results - see setupSkill()
+   * @param {Object} cardOptions      Data for the card display, title, template, etc.
+   * @param {Object} rerenderMessage  The message to be updated (used if editing the chat card)
+   */
+  static async extendedOverride(testData, cardOptions, rerenderMessage = null)
+  {
+    let result = DiceWFRP.rollTest(testData);
+    result.postFunction = "extendedOverride";
+    if (testData.extra)
+      mergeObject(result, testData.extra);
+
+    Hooks.call("wfrp4e:rollExtendedTest", result)
+
+    result.extendedTest = await WFRP_Utility.getSpeaker(cardOptions.speaker).updateExtendedTest(testData.extendedTest, result);
+
+    await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
+      OpposedWFRP.handleOpposedTarget(msg)
+    })
+
+    return result;
   }
 
   /**
@@ -1245,6 +1533,9 @@ class ActorWfrp4e extends Actor {
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
     })
+
+
+    return result;
   }
 
   /**
@@ -1271,12 +1562,17 @@ class ActorWfrp4e extends Actor {
     Hooks.call("wfrp4e:rollCastTest", result)
 
 
-    // Update spell to reflect SL from channelling resetting to 0
-    WFRP_Utility.getSpeaker(cardOptions.speaker).updateEmbeddedEntity("OwnedItem", {_id: testData.extra.spell._id, 'data.cn.SL' : 0});
+    // Update spell to reflect SL from channelling resetting to 0, which ends the Channelling
+    let actor = WFRP_Utility.getSpeaker(cardOptions.speaker);
+    actor.updateEmbeddedEntity("OwnedItem", {_id: testData.extra.spell._id, 'data.cn.SL' : 0});
+    if ((actor.data.flags.channelling || {}).spell == testData.extra.spell._id)
+      actor.update({"flags.channelling" : null});
 
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
     })
+
+    return result;
   }
 
   /**
@@ -1297,21 +1593,28 @@ class ActorWfrp4e extends Actor {
       cardOptions.isOpposedTest = true
     }
 
-    let result = DiceWFRP.rollChannellTest(testData, WFRP_Utility.getSpeaker(cardOptions.speaker));
+    let actor = WFRP_Utility.getSpeaker(cardOptions.speaker);
+    let result = DiceWFRP.rollChannellTest(testData, actor);
     result.postFunction = "channellOverride";
 
+    // Track the SL channelled each round, unless only editing the card
+    if (!rerenderMessage)
+      ChannelWFRP.record(actor, testData.extra.spell, result.channelledSL);
+
     Hooks.call("wfrp4e:rollChannelTest", result)
 
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
     })
+
+    return result;
   }
 
   /**
    * prayerOverride is used for casting tests, see setupCast for how it's assigned.
    *
-   * prayerOverride doesn't add any special functionality, it's main purpose being to call
-   * DiceWFRP.rollPrayerTest() instead of the generic DiceWFRP.rollTest()
+   * prayerOverride calls DiceWFRP.rollPrayerTest() instead of the generic DiceWFRP.rollTest(),
+   * and rolls the Wrath of the Gods if the test angered the priest's god (see SinWFRP)
    *
    * @param {Object} testData         All the data needed to evaluate test results - see setupPrayer()
    * @param {Object} cardOptions      Data for the card display, title, template, etc.
@@ -1325,7 +1628,8 @@ class ActorWfrp4e extends Actor {
       cardOptions.isOpposedTest = true
     }
 
-    let result = DiceWFRP.rollPrayTest(testData, WFRP_Utility.getSpeaker(cardOptions.speaker));
+    let actor = WFRP_Utility.getSpeaker(cardOptions.speaker);
+    let result = DiceWFRP.rollPrayTest(testData, actor);
     result.postFunction = "prayerOverride";
 
     Hooks.call("wfrp4e:rollPrayerTest", result)
@@ -1333,6 +1637,12 @@ class ActorWfrp4e extends Actor {
     await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
       OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
     })
+
+    // Roll the Wrath of the Gods, unless only editing the card
+    if (result.extra.wrath && !rerenderMessage)
+      await SinWFRP.rollWrath(actor, result.extra.wrathModifier);
+
+    return result;
   }
 
   /**
@@ -1394,6 +1704,8 @@ class ActorWfrp4e extends Actor {
       await DiceWFRP.renderRollCard(cardOptions, result, rerenderMessage).then(msg => {
         OpposedWFRP.handleOpposedTarget(msg) // Send to handleOpposed to determine opposed status, if any.
       })
+
+      return result;
   }
 
 
@@ -1571,9 +1883,9 @@ class ActorWfrp4e extends Actor {
     let untrainedSkills = []
     let untrainedTalents = []
     let hasCurrentCareer = false;
-    this.data.flags.careerTalents = [];
+    let careerAdvances = CareerWFRP.careerAdvances(this);
     // For each career, find the current one, and set the details accordingly (top of the character sheet)
-    // Additionally, set available characteristics, skills, and talents to advance (advancement indicator)
+    // Additionally, set which characteristics, skills, and talents are in-career (see CareerWFRP.careerAdvances)
     for (let career of actorData.careers)
     {
       if (career.data.current.value)
@@ -1586,16 +1898,12 @@ class ActorWfrp4e extends Actor {
         actorData.currentCareerGroup = career.data.careergroup.value;
         actorData.status = WFRP4E.statusTiers[career.data.status.tier] + " " + career.data.status.standing;
 
-        // Setup advancement indicators for characteristics
-        let availableCharacteristics = career.data.characteristics
+        // Setup in-career characteristics
         for (let char in actorData.data.characteristics)
-        {
-          if (availableCharacteristics.includes(char))
-            actorData.data.characteristics[char].career = true;
-        }
+          actorData.data.characteristics[char].career = careerAdvances.characteristics.includes(char);
 
-        // Find skills that have been trained or haven't, add advancement indicators or greyed out options (untrainedSkills)
-        for (let sk of career.data.skills)
+        // Find skills that have been trained or haven't, mark them in-career or add greyed out options (untrainedSkills)
+        for (let sk of careerAdvances.skills)
         {
           let trainedSkill = actorData.basicSkills.concat(actorData.advancedOrGroupedSkills).find(s => s.name.toLowerCase() == sk.toLowerCase())
           if (trainedSkill)
@@ -1608,14 +1916,13 @@ class ActorWfrp4e extends Actor {
           }
         }
 
-        // Find talents that have been trained or haven't, add advancement button or greyed out options (untrainedTalents)
-        for (let talent of career.data.talents)
+        // Find talents that have been trained or haven't, mark them in-career or add greyed out options (untrainedTalents)
+        for (let talent of careerAdvances.talents)
         {
           let trainedTalents = actorData.talents.find(t => t.name == talent)
           if (trainedTalents)
           {
             trainedTalents.career = true;
-            this.data.flags.careerTalents.push(trainedTalents)
           }
           else
           {
@@ -1631,6 +1938,19 @@ class ActorWfrp4e extends Actor {
       for (let char in actorData.data.characteristics)
         actorData.data.characteristics[char].career = false;
     }
+    // Otherwise everything can be advanced, out-of-career advances costing double
+    else
+    {
+      for (let ch of Object.values(actorData.data.characteristics))
+        ch.cost = CareerWFRP.cost(ch.advances, "characteristic", ch.career);
+      for (let skill of actorData.basicSkills.concat(actorData.advancedOrGroupedSkills))
+        skill.data.cost = CareerWFRP.cost(skill.data.advances.value, "skill", skill.career);
+      for (let talent of actorData.talents)
+        talent.cost = CareerWFRP.cost(talent.data.advances.value, "talent", talent.career);
+    }
+    actorData.hasCurrentCareer = hasCurrentCareer;
+    // Prepared talents are needed to advance them (times taken and maximum)
+    this.data.flags.preparedTalents = actorData.talents;
     // Add arrays to prepared actotr datas
     actorData.untrainedSkills = untrainedSkills;
     actorData.untrainedTalents = untrainedTalents;
@@ -1688,6 +2008,9 @@ class ActorWfrp4e extends Actor {
     // "traits" is only included traits 
     actorData.traits = actorData.traits.filter(t => t.included);
  
+    // Body plans to choose from in the notes tab
+    actorData.hitLocationTables = WFRP4E.hitLocationTables;
+
     // Combine all skills into a skill array (for creatur overview in the maintab)
     actorData.skills = (actorData.basicSkills.concat(actorData.advancedOrGroupedSkills)).sort(WFRP_Utility.nameSorter);
     // Filter those skills by those trained (only show skills with an advancement in the main tab)
@@ -1705,6 +2028,15 @@ class ActorWfrp4e extends Actor {
     }
   }
 
+  /**
+   * Hit location table of the actor's body plan (see WFRP4E.hitLocationTables), humanoid if not set or not loaded
+   */
+  hitLocationTable()
+  {
+    let table = (this.data.data.details.hitLocationTable || {}).value;
+    return WFRP_Tables[table] ? table : "hitloc";
+  }
+
   /**
    * Iterates through the Owned Items, processes them and organizes them into containers.
    * 
@@ -2089,6 +2421,8 @@ class ActorWfrp4e extends Actor {
         // *********** Psychologies ***********   
         else if (i.type === "psychology") 
         {
+          let effect = PsychologyWFRP.effect(i);
+          i.frenzy = !!(effect && effect.frenzied);
           psychology.push(i);
         } 
 
@@ -2254,6 +2588,20 @@ class ActorWfrp4e extends Actor {
       }
     }
 
+    // Locations of other body plans are protected by the armour of a humanoid location (see WFRP_Tables.hitLocation())
+    let hitLocationTable = this.hitLocationTable();
+    let hitLocations = [];
+    if (hitLocationTable != "hitloc")
+    {
+      hitLocations = WFRP_Tables.hitLocations(hitLocationTable);
+      for (let loc of hitLocations)
+      {
+        if (!AP[loc.result])
+          AP[loc.result] = AP[loc.armour];
+        loc.AP = AP[loc.result].value;
+      }
+    }
+
     // keep defensive counter in flags to use for test auto fill (see setupWeapon())
     this.data.flags.defensive = defensiveCounter;
 
@@ -2315,6 +2663,7 @@ class ActorWfrp4e extends Actor {
       penalties: penalties,
       penaltyOverflow: penaltiesOverflow,
       AP: AP,
+      hitLocations: hitLocations,
       injuries: injuries,
       grimoire: grimoire,
       petty: petty,
@@ -3038,18 +3387,25 @@ class ActorWfrp4e extends Actor {
    * @param {Object} victim       id of actor taking damage
    * @param {Object} opposedData  Test results, all the information needed to calculate damage
    * @param {var}    damageType   enum for what the damage ignores, see config.js
+   * @param {String} messageId    If given, the opposed result card is updated with the damage applied and an undo record
+   * 
+   * If a Critical Wound is caused, it is rolled and applied after GM confirmation (see CriticalWFRP)
    */
-  static applyDamage(victim, opposeData, damageType = DAMAGE_TYPE.NORMAL)
+  static applyDamage(victim, opposeData, damageType = DAMAGE_TYPE.NORMAL, messageId)
   {
-    if (!opposeData.damage)
-      return `<b>Error</b>: ${game.i18n.localize("CHAT.DamageAppliedError")}`
     // If no damage value, don't attempt anything
-    if (!opposeData.damage.value)
-      return game.i18n.localize("CHAT.DamageAppliedErrorTiring");
+    if (!opposeData.damage || !opposeData.damage.value)
+    {
+      let errorMsg = opposeData.damage ? game.i18n.localize("CHAT.DamageAppliedErrorTiring") : `<b>Error</b>: ${game.i18n.localize("CHAT.DamageAppliedError")}`
+      if (messageId)
+        OpposedWFRP.updateOpposedMessage(errorMsg, messageId)
+      return errorMsg;
+    }
 
     // Get actor/tokens for those in the opposed test
     let actor = WFRP_Utility.getSpeaker(victim);
     let attacker = WFRP_Utility.getSpeaker(opposeData.speakerAttack)
+    let hitLocation = WFRP_Tables.hitLocation((opposeData.hitloc || {}).value, actor.hitLocationTable())
 
     // Start wound loss at the damage value
     let totalWoundLoss = opposeData.damage.value
@@ -3181,13 +3537,18 @@ class ActorWfrp4e extends Actor {
     critModifier = critModifier < 0 ? critModifier : `+${critModifier}` 
     // If damage taken reduces wounds to 0, show Critical
     if (newWounds < 0 && !impenetrable)
-      updateMsg += `<br><a class ="table-click critical-roll" data-modifier=${critModifier} data-table = "crit${opposeData.hitloc.value}" ><i class='fas fa-list'></i> Critical (${critModifier})</a>`
+      updateMsg += `<br><a class ="table-click critical-roll" data-modifier=${critModifier} data-table = "crit${hitLocation.crit}" ><i class='fas fa-list'></i> Critical (${critModifier})</a>`
 
     else if (impenetrable)
       updateMsg += `<br>${game.i18n.localize("PROPERTY.Impenetrable")} - ${game.i18n.localize("CHAT.CriticalsNullified")}`
 
     if (hack)
-      updateMsg += `<br>${game.i18n.localize("CHAT.DamageAP")} ${WFRP4E.locations[opposeData.hitloc.value]}`
+      updateMsg += `<br>${game.i18n.localize("CHAT.DamageAP")} ${hitLocation.description}`
+
+    // Critical Wound if wounds go below 0 or the attack was a critical hit, unless nullified
+    let critical = !impenetrable && (newWounds < 0 || opposeData.attackerTestResult.extra.critical)
+    if (critical && newWounds >= 0)
+      critModifier = 0; // Only going below 0 wounds modifies the critical roll
 
     if (newWounds <= 0)
       newWounds = 0; // Do not go below 0 wounds
@@ -3196,8 +3557,18 @@ class ActorWfrp4e extends Actor {
     updateMsg +="</span>"
     updateMsg = updateMsg.replace("@TOTAL", totalWoundLoss)
 
+    let undoRecord = UndoWFRP.record(actor, {changes : [{path : "data.status.wounds.value", label : game.i18n.localize("Wounds"), from : actor.data.data.status.wounds.value, to : newWounds}]})
+
     // Update actor wound value
-    actor.update({"data.status.wounds.value" : newWounds})
+    actor.update({"data.status.wounds.value" : newWounds}).then(() => {
+      if (critical && game.settings.get("wfrp4e", "autoCriticals"))
+        CriticalWFRP.rollCritical(actor, opposeData.hitloc.value, Number(critModifier))
+      // Taking damage interrupts Channelling
+      if (totalWoundLoss > 0)
+        ChannelWFRP.damaged(actor)
+    })
+    if (messageId)
+      OpposedWFRP.updateOpposedMessage(updateMsg, messageId, undoRecord)
     return updateMsg;
   }
 
@@ -3445,6 +3816,84 @@ class ActorWfrp4e extends Actor {
     });
   }
 
+  /**
+   * Add the SL of a roll to the actor's Extended Test tracker for that skill.
+   *
+   * Trackers are stored in flags.extendedTests, one per skill name. A fumble (failed double) or an
+   * Astounding Failure loses all accumulated SL, and reaching the target SL completes the test,
+   * removing the tracker.
+   *
+   * @param {Object} extendedTest   Extended Test data from testData ({name, target})
+   * @param {Object} result         Result of the roll, see DiceWFRP.rollTest()
+   * @returns {Object} Tracker state to be displayed on the card
+   */
+  async updateExtendedTest(extendedTest, result)
+  {
+    let trackers = duplicate(this.data.flags.extendedTests || []);
+    let tracker = trackers.find(t => t.name == extendedTest.name);
+    if (!tracker)
+    {
+      tracker = {name : extendedTest.name, SL : 0, rolls : 0};
+      trackers.push(tracker);
+    }
+    tracker.target = extendedTest.target;
+
+    // If this testData has been rolled before (editing or rerolling the card), undo that roll
+    if (extendedTest.previousSL != undefined)
+    {
+      tracker.SL = extendedTest.previousSL;
+      tracker.rolls = extendedTest.previousRolls;
+    }
+    else
+    {
+      extendedTest.previousSL = tracker.SL;
+      extendedTest.previousRolls = tracker.rolls;
+    }
+
+    let SL = Number(result.SL) || 0;
+    let failed = result.description.includes(game.i18n.localize("Failure"));
+
+    // Optional Rule: If SL in extended test is -/+0, counts as -/+1
+    if (SL == 0 && game.settings.get("wfrp4e", "extendedTests"))
+      SL = failed ? -1 : 1;
+
+    let display = {name : tracker.name, target : tracker.target};
+    tracker.rolls++;
+
+    if (failed && (result.roll % 11 == 0 || result.roll == 100 || SL <= -6))
+    {
+      tracker.SL = 0;
+      display.reset = true;
+    }
+    else
+      tracker.SL = Math.max(tracker.SL + SL, 0);
+
+    display.SL = tracker.SL;
+    display.rolls = tracker.rolls;
+
+    if (tracker.SL >= tracker.target)
+    {
+      display.completed = true;
+      trackers = trackers.filter(t => t.name != tracker.name);
+    }
+
+    await this.update({"flags.extendedTests" : trackers});
+    return display;
+  }
+
+  /**
+   * Abandon an ongoing Extended Test, removing its tracker so that the next rolls of the skill are normal tests
+   *
+   * @param {String} name   Name of the skill the Extended Test is for
+   */
+  closeExtendedTest(name)
+  {
+    let trackers = this.data.flags.extendedTests || [];
+    if (!trackers.find(t => t.name == name))
+      return;
+    return this.update({"flags.extendedTests" : trackers.filter(t => t.name != name)});
+  }
+
   /**
    * Use a fortune point from the actor to reroll or add sl to a roll
    * @param {Object} message 
@@ -3463,7 +3912,9 @@ class ActorWfrp4e extends Actor {
         html += `${game.i18n.format("FORTUNE.UsageAddSLText",{character:'<b>'+this.name+'</b>'})}<br>`;
 
       html += `<b>${game.i18n.localize("FORTUNE.PointsRemaining")} </b>${this.data.data.status.fortune.value-1}`;
-      ChatMessage.create(WFRP_Utility.chatDataSetup(html));
+      let chatData = WFRP_Utility.chatDataSetup(html);
+      chatData["flags.undo"] = [UndoWFRP.record(this, {changes : [{path : "data.status.fortune.value", label : game.i18n.localize("Fortune"), from : this.data.data.status.fortune.value, to : this.data.data.status.fortune.value-1}]})];
+      ChatMessage.create(chatData);
 
       let cardOptions = this.preparePostRollAction(message);
       //Then we do the actual fortune action
@@ -3523,7 +3974,9 @@ class ActorWfrp4e extends Actor {
     html += `${game.i18n.format("DARKDEAL.UsageText",{character:'<b>'+this.name+'</b>'})}<br>`;
     let corruption = Math.trunc(this.data.data.status.corruption.value)+1;
     html += `<b>${game.i18n.localize("Corruption")}: </b>${corruption}/${this.data.data.status.corruption.max}`;
-    ChatMessage.create(WFRP_Utility.chatDataSetup(html));
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData["flags.undo"] = [UndoWFRP.record(this, {changes : [{path : "data.status.corruption.value", label : game.i18n.localize("Corruption"), from : this.data.data.status.corruption.value, to : corruption}]})];
+    ChatMessage.create(chatData);
     this.update({"data.status.corruption.value" : corruption});
     let cardOptions = this.preparePostRollAction(message);
     let data = message.data.flags.data;
@@ -3571,6 +4024,8 @@ class ActorWfrp4e extends Actor {
       cardOptions.defenderMessage = data.defenderMessage;
     if(data.unopposedStartMessage)
       cardOptions.unopposedStartMessage = data.unopposedStartMessage;
+    //keep track of the test rerolled, so that the Advantage of its opposed result can be undone
+    cardOptions.rerolledMessage = message.data._id;
     return cardOptions;
   }
 }
@@ -613,7 +613,7 @@ class ActorSheetWfrp4e extends ActorSheet {
       case 0:
       spell.data.cn.SL++;
       if (spell.data.cn.SL > spell.data.cn.value)
-        spell.data.cn.SL = spell.data.cn.valeu;
+        spell.data.cn.SL = spell.data.cn.value;
         break;
       case 2:
       spell.data.cn.SL--;
@@ -661,17 +661,7 @@ class ActorSheetWfrp4e extends ActorSheet {
     // If left click - TODO: Enum
     if (ev.button == 0)
     { // Parse disease length and roll it
-      try
-      {
-        let rollValue = new Roll(disease.data[type].value.split(" ")[0]).roll().total
-        let timeUnit = disease.data[type].value.split(" ")[1];
-        disease.data[type].roll = rollValue.toString() + " " + timeUnit;
-      }
-      catch
-      {
-        disease.data[type].roll = disease.data[type].value;
-      }
-
+      disease.data[type].roll = DiseaseWFRP.rollLength(disease.data[type].value);
       this.actor.updateEmbeddedEntity("OwnedItem", disease);
     }
     // If right click
@@ -986,6 +976,11 @@ class ActorSheetWfrp4e extends ActorSheet {
     item.postItem();
   })
 
+  // Frenzy control on a Psychology - test Willpower to enter Frenzy, or end it
+  html.find(".psychology-frenzy").click(ev => {
+    PsychologyWFRP.toggleFrenzy(this.actor);
+  })
+
   // Creature and NPC sheets - click on the 'name' label to generate a name
   html.find(".name-gen").click(ev => {
     let name = NameGenWfrp.generateName({species : this.actor.data.data.details.species.value, gender : this.actor.data.data.details.gender.value})
@@ -1135,13 +1130,14 @@ class ActorSheetWfrp4e extends ActorSheet {
           data.status.fortune.value = transfer.payload.fate;
           data.status.resilience.value = transfer.payload.resilience;
           data.status.resolve.value = transfer.payload.resilience;
-          data.details.experience.total += transfer.payload.exp;
         }
         for (let c in WFRP4E.characteristics)
         {
           data.characteristics[c].initial = transfer.payload.characteristics[c]
         }
         await this.actor.update({"data" : data})
+        if (this.actor.data.type == "character" && transfer.payload.exp)
+          await ExperienceWFRP.award(this.actor, transfer.payload.exp, game.i18n.localize("XP.CharGen"))
       }
       else if (transfer.type == "details") // hair, name, eyes
       {
@@ -1182,9 +1178,14 @@ class ActorSheetWfrp4e extends ActorSheet {
     // From character creation - exp drag values
     else if (JSON.parse(dragData).exp)
     {
-      let data = duplicate(this.actor.data.data);
-      data.details.experience.total += JSON.parse(dragData).exp;
-      await this.actor.update({"data" : data})
+      if (this.actor.data.type == "character")
+        await ExperienceWFRP.award(this.actor, JSON.parse(dragData).exp, game.i18n.localize("XP.CharGen"))
+      else
+      {
+        let data = duplicate(this.actor.data.data);
+        data.details.experience.total += JSON.parse(dragData).exp;
+        await this.actor.update({"data" : data})
+      }
     }
     // From Income results - drag money value over to add
     else if (JSON.parse(dragData).money)
@@ -32,6 +32,15 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
   }
 
 
+  /**
+   * Log manual edits of the Experience before the sheet data is saved
+   */
+  _updateObject(event, formData)
+  {
+    return super._updateObject(event, ExperienceWFRP.logManualEdits(this.actor, formData));
+  }
+
+
   /* --------------------------------------------------------------------------------------------------------- */
   /* ------------------------------------ Event Listeners and Handlers --------------------------------------- */
   /* --------------------------------------------------------------------------------------------------------- */
@@ -49,6 +58,16 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
   {
     super.activateListeners(html);
 
+    // Experience log button
+    html.find('.xp-log').click(ev => ExperienceWFRP.showLog(this.actor));
+
+    // Career checklist button - what remains before the current career level can be completed
+    html.find('.career-checklist').click(ev => CareerWFRP.showChecklist(this.actor));
+
+    // Career progression buttons - move to the next level of the current career, or change career
+    html.find('.career-complete-level').click(ev => CareerWFRP.completeLevel(this.actor));
+    html.find('.career-change').click(ev => CareerWFRP.changeDialog(this.actor));
+
     // Career toggle click (current or complete)
     html.find('.career-toggle').click(async ev =>
     {
@@ -165,13 +184,13 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
               yes:
               {
                 label: game.i18n.localize("Yes"),
-                callback: dlg =>
+                callback: async dlg =>
                 {
-                  this.actor.createEmbeddedEntity("OwnedItem", talent.data);
-                  this.actor.update( // Subtract experience if added
-                    {
-                      "data.details.experience.spent": this.actor.data.data.details.experience.spent + 100
-                    })
+                  if (!await CareerWFRP.canPurchase(this.actor, 100, true, talent.name))
+                    return;
+                  let created = await this.actor.createEmbeddedEntity("OwnedItem", talent.data);
+                  // Subtract experience if added
+                  ExperienceWFRP.spend(this.actor, {type : "talent", name : talent.name, amount : 100, inCareer : true, itemId : created._id, advances : 1})
                 }
               },
               yesNoExp:
@@ -197,7 +216,7 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
     })
 
     // Advancement indicators appear next to characteristic, skills, and talents available to spend exp on
-    // Left click spends exp - right click reverses
+    // Left click spends exp - right click reverses at the price paid. Out-of-career advances cost double (see CareerWFRP)
     html.find('.advancement-indicator').mousedown(async ev =>
     {
       let data = duplicate(this.actor.data.data);
@@ -208,26 +227,27 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
       {
         let itemId = $(ev.currentTarget).parents(".item").attr("data-item-id");
         let item = duplicate(this.actor.getEmbeddedEntity("OwnedItem", itemId))
+        let inCareer = CareerWFRP.inCareer(this.actor, type, item.name);
 
         if (ev.button == 0)
         {
           // Calculate the advancement cost based on the current number of advances, subtract that amount, advance by 1
-          let cost = WFRP_Utility._calculateAdvCost(item.data.advances.value, type)
-          data.details.experience.spent = Number(data.details.experience.spent) + cost;
+          let cost = CareerWFRP.cost(item.data.advances.value, type, inCareer)
+          if (!await CareerWFRP.canPurchase(this.actor, cost, inCareer, item.name))
+            return;
           item.data.advances.value++;
           await this.actor.updateEmbeddedEntity("OwnedItem",{_id: itemId, "data.advances.value": item.data.advances.value});
-          this.actor.update({"data.details.experience.spent": data.details.experience.spent});
+          ExperienceWFRP.spend(this.actor, {type, name : item.name, amount : cost, inCareer, itemId, advances : 1});
         }
-        else if (ev.button = 2)
+        else if (ev.button == 2)
         {
-          // Do the reverse, calculate the advancement cost (after subtracting 1 advancement), add that exp back
+          // Do the reverse, add back the exp the advancement was bought for (see ExperienceWFRP.refund)
           if (item.data.advances.value == 0)
             return;
           item.data.advances.value--;
-          let cost = WFRP_Utility._calculateAdvCost(item.data.advances.value, type)
-          data.details.experience.spent = Number(data.details.experience.spent) - cost;
-          this.actor.updateEmbeddedEntity("OwnedItem",{_id: itemId,"data.advances.value": item.data.advances.value});
-          this.actor.update({"data.details.experience.spent": data.details.experience.spent});
+          let refund = ExperienceWFRP.refund(this.actor, {type, itemId}, item.data.advances.value)
+          await this.actor.updateEmbeddedEntity("OwnedItem",{_id: itemId,"data.advances.value": item.data.advances.value});
+          ExperienceWFRP.spend(this.actor, {type, name : item.name, amount : -refund.amount, inCareer : refund.inCareer, itemId, advances : -1});
         }
       }
       // Talents
@@ -235,48 +255,41 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
       {
         if (ev.button == 0)
         {
-          // All career talents are stored in flags, retrieve the one clicked - use to calculate exp
+          // All prepared talents are stored in flags, retrieve the one clicked - use to calculate exp
           let itemId = $(ev.currentTarget).parents(".item").attr("data-item-id");
           let item = duplicate(this.actor.getEmbeddedEntity("OwnedItem", itemId))
-          let preparedTalent = this.actor.data.flags.careerTalents.find(t => t.name == item.name)
-          let spent = 0;
-          if (preparedTalent.data.advances.value < preparedTalent.numMax)
-          {
-            spent = this.actor.data.data.details.experience.spent + (preparedTalent.data.advances.value + 1) * 100
-          }
-          else
-            return
-          this.actor.createEmbeddedEntity("OwnedItem", item)
-          this.actor.update(
-          {
-            "data.details.experience.spent": spent
-          })
+          let preparedTalent = this.actor.data.flags.preparedTalents.find(t => t.name == item.name)
+          if (preparedTalent.data.advances.value >= preparedTalent.numMax)
+            return ui.notifications.error(game.i18n.format("CAREER.TalentMax", {name : item.name}))
+          let inCareer = CareerWFRP.inCareer(this.actor, type, item.name);
+          let cost = CareerWFRP.cost(preparedTalent.data.advances.value, type, inCareer)
+          if (!await CareerWFRP.canPurchase(this.actor, cost, inCareer, item.name))
+            return;
+          let created = await this.actor.createEmbeddedEntity("OwnedItem", item)
+          ExperienceWFRP.spend(this.actor, {type, name : item.name, amount : cost, inCareer, itemId : created._id, advances : 1})
         }
         // If right click, ask to refund EXP or not
         else if (ev.button == 2)
         {
           let itemId = $(ev.currentTarget).parents(".item").attr("data-item-id");
           let item = duplicate(this.actor.getEmbeddedEntity("OwnedItem", itemId))
-          let preparedTalent = this.actor.data.flags.careerTalents.find(t => t.name == item.name)
-          let spent = 0;
-          spent = this.actor.data.data.details.experience.spent - (preparedTalent.data.advances.value) * 100
+          let preparedTalent = this.actor.data.flags.preparedTalents.find(t => t.name == item.name)
+          // Refunded at the price it was bought for
+          let refund = ExperienceWFRP.refund(this.actor, {type, itemId}, preparedTalent.data.advances.value - 1)
 
           new Dialog(
             {
               title: game.i18n.localize("SHEET.RefundXPTitle"),
-              content: `<p>${game.i18n.localize("SHEET.RefundXPPrompt")} (${(preparedTalent.data.advances.value) * 100})</p>`,
+              content: `<p>${game.i18n.localize("SHEET.RefundXPPrompt")} (${refund.amount})</p>`,
               buttons:
               {
                 yes:
                 {
                   label: "Yes",
-                  callback: dlg =>
+                  callback: async dlg =>
                   {
-                    this.actor.deleteEmbeddedEntity("OwnedItem", itemId)
-                    this.actor.update(
-                    {
-                      "data.details.experience.spent": spent
-                    })
+                    await this.actor.deleteEmbeddedEntity("OwnedItem", itemId)
+                    ExperienceWFRP.spend(this.actor, {type, name : item.name, amount : -refund.amount, inCareer : refund.inCareer, itemId, advances : -1})
                   }
                 },
                 no:
@@ -305,33 +318,33 @@ class ActorSheetWfrp4eCharacter extends ActorSheetWfrp4e
       {
         let characteristic = type;
         let currentChar = this.actor.data.data.characteristics[characteristic];
+        let name = game.i18n.localize(WFRP4E.characteristics[characteristic]);
+        let inCareer = CareerWFRP.inCareer(this.actor, "characteristic", characteristic);
 
         if (ev.button == 0)
         {
           // Calculate the advancement cost based on the current number of advances, subtract that amount, advance by 1
-          let cost = WFRP_Utility._calculateAdvCost(currentChar.advances, "characteristic");
+          let cost = CareerWFRP.cost(currentChar.advances, "characteristic", inCareer);
+          if (!await CareerWFRP.canPurchase(this.actor, cost, inCareer, name))
+            return;
 
           data.characteristics[characteristic].advances++;
-          data.details.experience.spent = Number(data.details.experience.spent) + cost;
-          await this.actor.update(
+          await ExperienceWFRP.spend(this.actor, {type : "characteristic", name, amount : cost, inCareer, key : characteristic, advances : 1},
           {
-            "data.characteristics": data.characteristics,
-            "data.details.experience": data.details.experience
+            "data.characteristics": data.characteristics
           });
         }
         else if (ev.button == 2)
         {
-          // Calculate the advancement cost based on advances -1, add that amount back into exp
+          // Add back the exp the advancement was bought for (see ExperienceWFRP.refund)
           if (currentChar.advances == 0)
             return
-          let cost = WFRP_Utility._calculateAdvCost(currentChar.advances - 1, "characteristic");
+          let refund = ExperienceWFRP.refund(this.actor, {type : "characteristic", key : characteristic}, currentChar.advances - 1);
 
           data.characteristics[characteristic].advances--;
-          data.details.experience.spent = Number(data.details.experience.spent) - cost;
-          await this.actor.update(
+          await ExperienceWFRP.spend(this.actor, {type : "characteristic", name, amount : -refund.amount, inCareer : refund.inCareer, key : characteristic, advances : -1},
           {
-            "data.characteristics": data.characteristics,
-            "data.details.experience": data.details.experience
+            "data.characteristics": data.characteristics
           });
         }
       }
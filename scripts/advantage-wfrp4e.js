@@ -0,0 +1,200 @@
+/**
+ * This class handles Advantage automation in combat.
+ *
+ * Advantage is gained by winning an opposed test (+1 more on a successful charge) and by causing Fear or Terror,
+ * and lost entirely by losing an opposed test. Optionally, combatants who take no action during a round lose it as well.
+ *
+ * Every change is logged as an array of {speaker, name, from, to} in the "advantage" flag of the chat card
+ * that caused it, so that the GM can undo them from the card.
+ */
+class AdvantageWFRP
+{
+  /**
+   * Whether Advantage should be changed automatically - only during combat, and if the setting is enabled
+   */
+  static get active()
+  {
+    return game.settings.get("wfrp4e", "advantageAutomation") && !!game.combat
+  }
+
+  /**
+   * Determine the Advantage changes from an opposed test result: the winner gains 1 (2 if the attacker won while charging),
+   * the loser loses all of theirs.
+   *
+   * @param {Object} attacker   Attacker data (testResult and speaker)
+   * @param {Object} defender   Defender data (testResult and speaker)
+   * @param {String} winner     "attacker" or "defender"
+   * @param {Array}  undone     Changes being undone first (rerolled test), whose previous values are the starting point
+   * @returns {Array} Advantage changes
+   */
+  static opposedChanges(attacker, defender, winner, undone = [])
+  {
+    let winnerData = winner == "attacker" ? attacker : defender;
+    let loserData = winner == "attacker" ? defender : attacker;
+
+    let gain = 1;
+    if (winner == "attacker" && attacker.testResult.preData && attacker.testResult.preData.charging)
+      gain++;
+
+    return [this.change(winnerData.speaker, gain, undone), this.change(loserData.speaker, null, undone)].filter(c => c);
+  }
+
+  /**
+   * Compute a single Advantage change, keeping the result between 0 and the actor's maximum
+   *
+   * @param {Object} speaker    Speaker of the actor whose Advantage changes
+   * @param {Number} amount     Amount to add, or null to remove all Advantage
+   * @param {Array}  undone     Changes being undone first - if one is the actor's, its previous value is used, as the
+   *                            undo may not have reached the actor yet (players go through the socket)
+   * @returns {Object} Change log entry, or undefined if Advantage would not change
+   */
+  static change(speaker, amount, undone = [])
+  {
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    if (!actor)
+      return;
+    let advantage = actor.data.data.status.advantage;
+    let reverted = undone.find(c => c.speaker.actor == speaker.actor && c.speaker.token == speaker.token);
+    let from = reverted ? reverted.from : Number(advantage.value) || 0;
+    let to = amount === null ? 0 : Math.max(0, Math.min(from + amount, advantage.max || 10));
+    if (from == to)
+      return;
+
+    return {
+      speaker : {actor : speaker.actor, token : speaker.token, scene : speaker.scene},
+      name : speaker.alias || actor.data.name,
+      from,
+      to
+    }
+  }
+
+  /**
+   * Set each actor's Advantage to the logged value. Only the GM can modify every actor, so players send changes through the socket.
+   * The GM applies them in the order received, so that the undo of a rerolled test is applied before its new changes.
+   *
+   * @param {Array} changes     Advantage changes
+   * @param {Boolean} undo      Revert the changes instead (set Advantage back to the previous value)
+   */
+  static apply(changes, undo = false)
+  {
+    if (!game.user.isGM)
+      return game.socket.emit("system.wfrp4e", {type : "advantage", payload : {changes, undo}})
+
+    this._applying = (this._applying || Promise.resolve()).then(() => this._apply(changes, undo));
+    return this._applying;
+  }
+
+  static async _apply(changes, undo)
+  {
+    for (let change of changes)
+    {
+      let actor = WFRP_Utility.getSpeaker(change.speaker);
+      if (actor)
+        await actor.update({"data.status.advantage.value" : undo ? change.from : change.to})
+    }
+  }
+
+  /**
+   * Render the Advantage log included in chat cards
+   *
+   * @param {Array} changes     Advantage changes
+   * @param {Boolean} undone    Whether the GM has undone these changes
+   */
+  static renderLog(changes, undone = false)
+  {
+    return renderTemplate("systems/wfrp4e/templates/chat/advantage-log.html", {changes, undone})
+  }
+
+  /**
+   * Post a card logging Advantage changes not caused by an opposed test, and apply them
+   *
+   * @param {Array} changes     Advantage changes
+   * @param {String} reason     Why Advantage changed, displayed as the card title
+   */
+  static async logChanges(changes, reason)
+  {
+    changes = changes.filter(c => c);
+    if (!changes.length)
+      return;
+
+    let html = `<div class="wfrp4e chat-card"><b>${reason}</b>${await this.renderLog(changes)}</div>`
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData["flags.advantage"] = changes;
+    await this.apply(changes);
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Undo button on an Advantage log - revert the changes and mark the log as undone
+   *
+   * @param {Object} event    Click event
+   */
+  static undo(event)
+  {
+    return this.undoMessage(game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id")));
+  }
+
+  /**
+   * Revert the Advantage changes logged in a message and mark the log as undone
+   *
+   * @param {Object} message    Chat message holding the Advantage log
+   * @returns {Array} Changes reverted, empty if there were none or they could not be
+   */
+  static async undoMessage(message)
+  {
+    let changes = message ? message.data.flags.advantage : undefined;
+    if (!changes || message.data.flags.advantageUndone)
+      return [];
+    // The log must be marked as undone, so that it is not reverted twice
+    if (!game.user.isGM && message.data.user != game.user._id)
+      return [];
+
+    await this.apply(changes, true);
+
+    let content = $(`<div>${message.data.content}</div>`);
+    content.find(".advantage-log").replaceWith(await this.renderLog(changes, true));
+    await message.update({
+      content : content.html(),
+      "flags.advantageUndone" : true
+    })
+    return changes;
+  }
+
+  /**
+   * A test against Fear or Terror was failed - the tokens causing it gain 1 Advantage
+   *
+   * @param {String} name     Name of the token that failed the test
+   * @param {Array}  tokens   Tokens causing Fear or Terror, the selected ones by default
+   */
+  static causedFear(name, tokens = canvas.tokens.controlled)
+  {
+    let changes = tokens.map(t => this.change({actor : t.actor.data._id, token : t.data._id, scene : canvas.scene._id, alias : t.data.name}, 1));
+    return this.logChanges(changes, game.i18n.format("ADVANTAGE.CausedFear", {name}));
+  }
+
+  /**
+   * Note that the actor has acted during the current combat round, used by the no action reset
+   *
+   * @param {Object} speaker    Speaker of the test rolled
+   */
+  static recordAction(speaker)
+  {
+    if (!game.combat || !game.settings.get("wfrp4e", "advantageNoActionReset"))
+      return;
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    if (actor && actor.owner && actor.data.flags.actedRound != game.combat.data.round)
+      actor.update({"flags.actedRound" : game.combat.data.round})
+  }
+
+  /**
+   * When a round ends, combatants that did not roll a test during that round lose all their Advantage
+   *
+   * @param {Object} combat     Combat whose round ended
+   */
+  static noActionReset(combat)
+  {
+    let round = combat.data.round - 1;
+    let changes = combat.turns.filter(t => t.actor && t.token && t.actor.data.flags.actedRound != round).map(t => this.change({actor : t.actor.data._id, token : t.token._id, scene : combat.data.scene, alias : t.token.name}, null));
+    return this.logChanges(changes, game.i18n.format("ADVANTAGE.NoAction", {round}));
+  }
+}
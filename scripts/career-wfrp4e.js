@@ -0,0 +1,390 @@
+/**
+ * This class applies the career rules to spending Experience - what is in-career, what it costs, and what a career level requires.
+ *
+ * Flow:
+ * Character sheet is prepared - every characteristic, skill and talent is marked in-career or not (see careerAdvances),
+ * and its advancement cost computed, doubled when out-of-career (see cost)
+ * Player clicks an advancement indicator - the purchase is checked (see canPurchase): blocked without enough XP,
+ * confirmed when out-of-career
+ * Career checklist (character sheet) - shows what remains before the current career level can be completed (see checklist)
+ * Complete career level (character sheet) - once the checklist is complete, 100 XP moves the character to the next level
+ * of the career from the careers compendium (see completeLevel), Change career lists the careers they can change to (see changeDialog)
+ * Career entered - it becomes the current career, its status is posted, and its new skills, talents and trappings are offered
+ *
+ * Characteristics and skills are in-career if they are in the current career level or a lower level of the same career
+ * the character has, talents only if they are in the current level.
+ */
+class CareerWFRP
+{
+  /**
+   * Characteristics, skills and talents the character can advance in-career
+   *
+   * @param {Object} actor    Character
+   * @returns {Object} {career, characteristics, skills, talents}, or undefined if the character has no current career
+   */
+  static careerAdvances(actor)
+  {
+    let careers = actor.items.filter(i => i.type == "career").map(i => i.data);
+    let career = careers.find(c => c.data.current.value);
+    if (!career)
+      return;
+
+    let levels = careers.filter(c => c.data.careergroup.value == career.data.careergroup.value && Number(c.data.level.value) <= Number(career.data.level.value));
+    let skills = [];
+    for (let level of levels)
+      skills = skills.concat(level.data.skills.filter(s => !skills.find(sk => sk.toLowerCase() == s.toLowerCase())));
+
+    return {
+      career,
+      characteristics : career.data.characteristics,
+      skills,
+      talents : career.data.talents
+    }
+  }
+
+  /**
+   * Whether an advance is in the character's current career
+   *
+   * @param {Object} actor    Character
+   * @param {String} type     characteristic, skill, or talent
+   * @param {String} name     Characteristic key, or name of the skill or talent
+   */
+  static inCareer(actor, type, name)
+  {
+    let advances = this.careerAdvances(actor);
+    if (!advances)
+      return false;
+    if (type == "characteristic")
+      return advances.characteristics.includes(name);
+    if (type == "skill")
+      return advances.skills.some(s => s.toLowerCase() == name.toLowerCase());
+    return advances.talents.includes(name);
+  }
+
+  /**
+   * XP cost of the next advance, doubled when out-of-career
+   *
+   * @param {Number}  advances    Current advances (talents: times taken)
+   * @param {String}  type        characteristic, skill, or talent
+   * @param {Boolean} inCareer    Whether the advance is in the current career
+   */
+  static cost(advances, type, inCareer)
+  {
+    let cost = type == "talent" ? (advances + 1) * 100 : WFRP_Utility._calculateAdvCost(advances, type);
+    return inCareer ? cost : cost * 2;
+  }
+
+  /**
+   * Check a purchase can be made - blocked if the character does not have enough XP, confirmed if out-of-career
+   *
+   * @param {Object}  actor       Character spending XP
+   * @param {Number}  cost        XP cost
+   * @param {Boolean} inCareer    Whether the advance is in the current career
+   * @param {String}  name        What is bought
+   * @returns {Promise} Resolves to whether the purchase goes ahead
+   */
+  static canPurchase(actor, cost, inCareer, name)
+  {
+    let current = actor.data.data.details.experience.current;
+    if (cost > current)
+    {
+      ui.notifications.error(game.i18n.format("CAREER.NotEnoughXP", {name, cost, current}));
+      return Promise.resolve(false);
+    }
+    if (inCareer)
+      return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      new Dialog({
+        title : game.i18n.localize("CAREER.OutOfCareerTitle"),
+        content : `<p>${game.i18n.format("CAREER.OutOfCareerPrompt", {name, cost})}</p>`,
+        buttons : {
+          yes : {label : game.i18n.localize("Yes"), callback : () => resolve(true)},
+          no : {label : game.i18n.localize("No"), callback : () => resolve(false)}
+        },
+        default : "yes",
+        close : () => resolve(false)
+      }).render(true)
+    })
+  }
+
+  /**
+   * What the current career level requires to be completed: every career characteristic, and 8 career skills, at 5 advances
+   * per level (5 at level 1, 10 at level 2...), and a talent of the level
+   *
+   * @param {Object} actor    Character
+   * @returns {Object} Requirements and whether each is met, or undefined if the character has no current career
+   */
+  static checklist(actor)
+  {
+    let advances = this.careerAdvances(actor);
+    if (!advances)
+      return;
+    let required = (Number(advances.career.data.level.value) || 1) * 5;
+
+    let characteristics = advances.characteristics.map(c => {
+      let value = actor.data.data.characteristics[c].advances;
+      return {name : game.i18n.localize(WFRP4E.characteristicsAbbrev[c]), advances : value, done : value >= required};
+    })
+    let skills = advances.skills.map(name => {
+      let skill = actor.items.find(i => i.type == "skill" && i.name.toLowerCase() == name.toLowerCase());
+      let value = skill ? skill.data.data.advances.value : 0;
+      return {name, advances : value, done : value >= required};
+    })
+    let talents = advances.talents.map(name => {return {name, done : !!actor.items.find(i => i.type == "talent" && i.name == name)}});
+
+    let skillsRequired = Math.min(8, skills.length);
+    let skillsDone = skills.filter(s => s.done).length;
+    let talentDone = !talents.length || talents.some(t => t.done);
+    return {
+      career : advances.career.name,
+      required,
+      characteristics,
+      skills,
+      skillsRequired,
+      skillsDone,
+      talents,
+      talentDone,
+      complete : characteristics.every(c => c.done) && skillsDone >= skillsRequired && talentDone
+    }
+  }
+
+  /**
+   * Show what remains before the character's current career level can be completed
+   *
+   * @param {Object} actor    Character
+   */
+  static async showChecklist(actor)
+  {
+    let checklist = this.checklist(actor);
+    if (!checklist)
+      return ui.notifications.error(game.i18n.localize("CAREER.NoCurrentCareer"))
+    new Dialog({
+      title : `${game.i18n.localize("CAREER.Checklist")} - ${checklist.career}`,
+      content : await renderTemplate("systems/wfrp4e/templates/actors/career-checklist.html", checklist),
+      buttons : {
+        close : {label : game.i18n.localize("SHEET.Close")}
+      },
+      default : "close"
+    }).render(true)
+  }
+
+  /**
+   * Complete career level (character sheet) - verify the requirements, then move to the next level of the career
+   *
+   * @param {Object} actor    Character
+   */
+  static async completeLevel(actor)
+  {
+    let checklist = this.checklist(actor);
+    if (!checklist)
+      return ui.notifications.error(game.i18n.localize("CAREER.NoCurrentCareer"))
+    if (!checklist.complete)
+    {
+      ui.notifications.error(game.i18n.localize("CAREER.RequirementsNotMet"))
+      return this.showChecklist(actor);
+    }
+
+    let current = this.careerAdvances(actor).career;
+    let next = (await this._compendiumCareers()).find(c => c.data.careergroup.value == current.data.careergroup.value && Number(c.data.level.value) == Number(current.data.level.value) + 1);
+    // The last level of a career has nothing further to move to, it is only marked complete
+    if (!next)
+    {
+      await actor.updateEmbeddedEntity("OwnedItem", {_id : current._id, "data.complete.value" : true});
+      return ui.notifications.notify(game.i18n.format("CAREER.FinalLevel", {career : current.name}))
+    }
+    return this.enterCareer(actor, next, WFRP4E.careerCosts.nextLevel);
+  }
+
+  /**
+   * Change career (character sheet) - choose among the eligible careers (see eligibleCareers), at the cost of changing career
+   *
+   * @param {Object} actor    Character
+   */
+  static async changeDialog(actor)
+  {
+    let checklist = this.checklist(actor);
+    let cost = !checklist || checklist.complete ? WFRP4E.careerCosts.changeComplete : WFRP4E.careerCosts.changeIncomplete;
+    let careers = await this.eligibleCareers(actor);
+    let html = await renderTemplate("systems/wfrp4e/templates/actors/career-change-dialog.html", {
+      cost,
+      careers : careers.map(c => {return {id : c._id, name : c.name, group : c.data.careergroup.value, level : c.data.level.value}})
+    })
+    new Dialog({
+      title : game.i18n.localize("CAREER.Change"),
+      content : html,
+      buttons : {
+        change : {
+          label : game.i18n.localize("CAREER.Change"),
+          callback : html => {
+            let career = careers.find(c => c._id == html.find('[name="career"]').val());
+            if (career)
+              this.enterCareer(actor, career, cost);
+          }
+        }
+      },
+      default : "change"
+    }).render(true)
+  }
+
+  /**
+   * Careers the character can change to - the first level of any other career, and for careers the character had before,
+   * the level they left (or the next one if they completed it)
+   *
+   * @param {Object} actor    Character
+   * @returns {Array} Career item data, from the careers compendium
+   */
+  static async eligibleCareers(actor)
+  {
+    let careers = await this._compendiumCareers();
+    let owned = actor.items.filter(i => i.type == "career").map(i => i.data);
+    let current = owned.find(c => c.data.current.value);
+
+    return careers.filter(career => {
+      let group = career.data.careergroup.value;
+      if (current && current.data.careergroup.value == group)
+        return false;
+      let levels = owned.filter(c => c.data.careergroup.value == group);
+      if (!levels.length)
+        return Number(career.data.level.value) == 1;
+      let highest = levels.reduce((a, b) => Number(b.data.level.value) > Number(a.data.level.value) ? b : a);
+      return Number(career.data.level.value) == Number(highest.data.level.value) + (highest.data.complete.value ? 1 : 0);
+    }).sort(WFRP_Utility.nameSorter)
+  }
+
+  /**
+   * Enter a career - pay its XP cost, make it the current career (marking the previous one complete if it was),
+   * post the new status, and offer the career's new skills, talents and trappings
+   *
+   * @param {Object} actor    Character
+   * @param {Object} career   Career item data
+   * @param {Number} cost     XP cost
+   */
+  static async enterCareer(actor, career, cost)
+  {
+    if (!await this.canPurchase(actor, cost, true, career.name))
+      return;
+
+    let checklist = this.checklist(actor);
+    let updates = actor.items.filter(i => i.type == "career" && i.data.data.current.value).map(i => {
+      return {_id : i.data._id, "data.current.value" : false, "data.complete.value" : i.data.data.complete.value || checklist.complete}
+    })
+    let owned = actor.items.find(i => i.type == "career" && i.name == career.name && i.data.data.careergroup.value == career.data.careergroup.value);
+    let itemId;
+    if (owned)
+    {
+      itemId = owned.data._id;
+      updates.push({_id : itemId, "data.current.value" : true});
+    }
+    if (updates.length)
+      await actor.updateEmbeddedEntity("OwnedItem", updates);
+    if (!owned)
+    {
+      let data = duplicate(career);
+      delete data._id;
+      data.data.current.value = true;
+      data.data.complete.value = false;
+      itemId = (await actor.createEmbeddedEntity("OwnedItem", data))._id;
+    }
+    await ExperienceWFRP.spend(actor, {type : "career", name : career.name, amount : cost, inCareer : true, itemId});
+
+    let status = `${game.i18n.localize(WFRP4E.statusTiers[career.data.status.tier])} ${career.data.status.standing}`;
+    let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${game.i18n.format("CAREER.Entered", {name : actor.data.name, career : career.name, status, cost})}</div></div>`);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    await ChatMessage.create(chatData);
+
+    return this.offerAdvances(actor, career);
+  }
+
+  /**
+   * Offer the skills, talents and trappings of a career the character does not have yet.
+   * Skills of any specialisation, e.g. Stealth (Any), are offered with a field to choose it.
+   *
+   * @param {Object} actor    Character
+   * @param {Object} career   Career item data
+   */
+  static async offerAdvances(actor, career)
+  {
+    let has = (types, name) => actor.items.find(i => types.includes(i.type) && i.name.toLowerCase() == name.toLowerCase());
+    let offer = {
+      skills : career.data.skills.filter(s => !has(["skill"], s)).map(name => {return {name, any : this._anySpecialisation(name)}}),
+      talents : career.data.talents.filter(t => !has(["talent"], t)),
+      trappings : career.data.trappings.filter(t => !has(["trapping", "weapon", "armour", "ammunition", "container", "money"], t)),
+      talentCost : this.cost(0, "talent", true)
+    }
+    if (!offer.skills.length && !offer.talents.length && !offer.trappings.length)
+      return;
+
+    new Dialog({
+      title : `${game.i18n.localize("CAREER.NewAdvances")} - ${career.name}`,
+      content : await renderTemplate("systems/wfrp4e/templates/actors/career-advances-dialog.html", offer),
+      buttons : {
+        add : {
+          label : game.i18n.localize("CAREER.Add"),
+          callback : html => {
+            let checked = name => html.find(`[name="${name}"]:checked`).map(function() {return this.value}).get();
+            // Skills of any specialisation are named after the one chosen
+            let skills = html.find('[name="skills"]:checked').map(function() {
+              let specialisation = $(this).siblings(".skill-specialisation").val();
+              return specialisation ? `${this.value.split("(")[0].trim()} (${specialisation.trim()})` : this.value;
+            }).get();
+            this.addAdvances(actor, {skills, talents : checked("talents"), trappings : checked("trappings")});
+          }
+        }
+      },
+      default : "add"
+    }).render(true)
+  }
+
+  /**
+   * Add the chosen skills (without advances) and trappings, and buy the chosen talents
+   *
+   * @param {Object} actor    Character
+   * @param {Object} chosen   skills, talents and trappings, by name
+   */
+  static async addAdvances(actor, {skills, talents, trappings})
+  {
+    for (let name of skills)
+    {
+      if (this._anySpecialisation(name))
+      {
+        ui.notifications.error(game.i18n.format("CAREER.NoSpecialisation", {name}));
+        continue;
+      }
+      if (actor.items.find(i => i.type == "skill" && i.name.toLowerCase() == name.toLowerCase()))
+        continue;
+      let skill = await WFRP_Utility.findSkill(name).catch(error => ui.notifications.error(error));
+      if (skill)
+        await actor.createEmbeddedEntity("OwnedItem", skill.data);
+    }
+    for (let name of talents)
+    {
+      let talent = await WFRP_Utility.findTalent(name).catch(error => ui.notifications.error(error));
+      let cost = this.cost(0, "talent", true);
+      if (!talent || !await this.canPurchase(actor, cost, true, name))
+        continue;
+      let created = await actor.createEmbeddedEntity("OwnedItem", talent.data);
+      await ExperienceWFRP.spend(actor, {type : "talent", name, amount : cost, inCareer : true, itemId : created._id, advances : 1});
+    }
+    for (let name of trappings)
+    {
+      // Trappings not found are added as miscellaneous trappings, to be filled in
+      let item = await WFRP_Utility.findItem(name, "trapping");
+      let data = item ? duplicate(item.data) : {name, type : "trapping", data : {trappingType : {value : "misc"}}};
+      delete data._id;
+      await actor.createEmbeddedEntity("OwnedItem", data);
+    }
+  }
+
+  // Whether a career skill can be of any specialisation, e.g. Stealth (Any)
+  static _anySpecialisation(name)
+  {
+    return name.toLowerCase().includes(`(${game.i18n.localize("CAREER.Any").toLowerCase()})`);
+  }
+
+  static async _compendiumCareers()
+  {
+    let pack = game.packs.find(p => p.collection == "wfrp4e.careers");
+    return (await pack.getContent()).map(c => c.data);
+  }
+}
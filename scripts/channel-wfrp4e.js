@@ -0,0 +1,166 @@
+/**
+ * This class tracks a caster's Channelling across rounds, and the loss of the power channelled when they are interrupted.
+ *
+ * Flow:
+ * Channelling test is rolled - the SL gained is recorded for the current round (see channellOverride), only one spell can be channelled at a time
+ * Caster takes damage (see applyDamage and ConditionTurnWFRP.endTurn), or fails a Cool test to keep their concentration - all SL channelled is lost
+ * Spell is cast (see castOverride) or combat ends (see deleteCombat) - the Channelling ends
+ *
+ * The SL channelled is still stored on the spell (cn.SL), the tracker is stored in the actor's "channelling" flag:
+ * {
+ *   spell  : id of the spell being channelled
+ *   name   : name of the spell
+ *   combat : id of the combat the Channelling started in, if any
+ *   tests  : [{round, SL}] SL gained by each Channelling test, round is 0 outside of combat
+ * }
+ */
+class ChannelWFRP
+{
+  /**
+   * Record a Channelling test. Channelling another spell loses the SL channelled into the previous one.
+   *
+   * @param {Object} actor    Caster
+   * @param {Object} spell    Spell channelled, as it was before the test
+   * @param {Number} SL       SL channelled into the spell after the test
+   */
+  static async record(actor, spell, SL)
+  {
+    let channelling = duplicate(actor.data.flags.channelling || {});
+    if (channelling.spell && channelling.spell != spell._id)
+      await this.lose(actor, game.i18n.format("CHANNEL.Switched", {spell : spell.name}));
+
+    if (channelling.spell != spell._id)
+      channelling = {spell : spell._id, name : spell.name, combat : null, tests : []};
+
+    let round = 0;
+    let combat = this._combat(actor);
+    if (combat)
+    {
+      round = combat.data.round;
+      channelling.combat = combat.data._id;
+      if (channelling.tests.find(t => t.round == round))
+        ui.notifications.warn(game.i18n.format("CHANNEL.AlreadyChannelled", {name : this._name(actor)}))
+    }
+    channelling.tests.push({round, SL : SL - spell.data.cn.SL});
+
+    return actor.update({"flags.channelling" : channelling});
+  }
+
+  /**
+   * Current progress of the actor's Channelling, used by the token HUD
+   *
+   * @param {Object} actor    Caster
+   * @returns {Object} {name, SL, cn, rounds}, or null if the actor is not channelling
+   */
+  static progress(actor)
+  {
+    let channelling = actor.data.flags.channelling;
+    if (!channelling || !channelling.spell)
+      return null;
+    let spell = actor.items.find(i => i.data._id == channelling.spell);
+    if (!spell)
+      return null;
+    return {
+      name : channelling.name,
+      SL : spell.data.data.cn.SL,
+      cn : spell.data.data.cn.value,
+      rounds : channelling.tests.length
+    }
+  }
+
+  /**
+   * The caster has taken damage - if they were channelling, the power is lost
+   *
+   * @param {Object} actor    Actor damaged
+   */
+  static damaged(actor)
+  {
+    if (this.progress(actor))
+      return this.lose(actor, game.i18n.localize("CHANNEL.Damaged"));
+  }
+
+  /**
+   * Respond to the Cool test button on the token HUD - roll Cool for the caster, losing the power channelled if failed
+   *
+   * @param {Object} actor    Caster
+   */
+  static async rollCool(actor)
+  {
+    let result;
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Cool"));
+    if (skill)
+      result = await actor.setupSkill(skill.data);
+    else
+      result = await actor.setupCharacteristic("wp");
+
+    if (result && result.outcome == "failure")
+      await this.lose(actor, game.i18n.localize("CHANNEL.FailedCool"));
+  }
+
+  /**
+   * Lose all SL channelled and post a notice of it
+   *
+   * @param {Object} actor    Caster
+   * @param {String} reason   Why the power was lost
+   */
+  static async lose(actor, reason)
+  {
+    let progress = this.progress(actor);
+    if (!progress)
+      return this.end(actor);
+
+    await this.end(actor);
+    if (!progress.SL)
+      return;
+    let html = game.i18n.format("CHANNEL.Lost", {name : this._name(actor), spell : progress.name, SL : progress.SL, reason});
+    let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${html}</div></div>`);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * End the actor's Channelling, resetting the SL channelled into the spell
+   *
+   * @param {Object} actor    Caster
+   */
+  static async end(actor)
+  {
+    let channelling = actor.data.flags.channelling;
+    if (!channelling || !channelling.spell)
+      return;
+    if (actor.items.find(i => i.data._id == channelling.spell))
+      await actor.updateEmbeddedEntity("OwnedItem", {_id : channelling.spell, "data.cn.SL" : 0});
+    return actor.update({"flags.channelling" : null});
+  }
+
+  /**
+   * When combat ends, the Channelling of its combatants that started during it ends too
+   *
+   * @param {Object} combat     Combat deleted
+   */
+  static async combatEnded(combat)
+  {
+    for (let turn of combat.turns)
+    {
+      let actor = turn.actor;
+      if (actor && actor.data.flags.channelling && actor.data.flags.channelling.combat == combat.data._id)
+        await this.end(actor);
+    }
+  }
+
+  // Active combat the actor is a combatant in, if any
+  static _combat(actor)
+  {
+    let combat = game.combat;
+    if (!combat || !combat.data.round)
+      return null;
+    if (!combat.turns.find(t => actor.isToken ? t.tokenId == actor.token.data._id : t.actor && t.actor.data._id == actor.data._id))
+      return null;
+    return combat;
+  }
+
+  static _name(actor)
+  {
+    return actor.token ? actor.token.data.name : actor.data.name;
+  }
+}
@@ -0,0 +1,434 @@
+/**
+ * This class is the Character Generation wizard - a window walking through every step of character generation, and creating
+ * the character at the end (character generation through chat cards, started with /char, is GeneratorWfrp4e).
+ *
+ * Flow:
+ * Species            - rolled (XP, see WFRP4E.randomExp) or chosen
+ * Characteristics    - rolled (XP), rearranged by swapping two of them (less XP), rerolled, or allocated 100 points
+ *                      (4 to 18 each), then the Extra points are split between Fate and Resilience
+ * Career             - rolled (XP), rolled twice more to choose among the three (less XP), or chosen
+ * Species Advances   - 3 species skills at 5 advances and 3 at 3, the choices between species talents, and random talents (rerollable)
+ * Career Advances    - 40 advances across the career skills (10 at most each), 5 across its characteristics, and one of its talents
+ * Trappings          - class trappings (see WFRP4E.classTrappings) and career trappings
+ * Details            - name, age, height, eyes and hair, rolled then editable
+ * Create             - the character is created with everything chosen, and the XP earned is awarded (see ExperienceWFRP.award)
+ *
+ * Each step is validated before moving to the next one. The choices are kept in this.gen until the character is created.
+ */
+class CharGenWizardWfrp4e extends Application
+{
+  constructor(options)
+  {
+    super(options);
+    this.step = 0;
+    this.gen = {exp : {}};
+  }
+
+  static get defaultOptions()
+  {
+    const options = super.defaultOptions;
+    options.id = "wfrp4e-chargen";
+    options.template = "systems/wfrp4e/templates/chargen/wizard.html"
+    options.classes.push("wfrp4e", "chargen-wizard");
+    options.resizable = true;
+    options.width = 600;
+    options.height = "auto";
+    options.title = game.i18n.localize("CHARGEN.Wizard")
+    return options;
+  }
+
+  static get steps()
+  {
+    return ["species", "characteristics", "career", "speciesAdvances", "careerAdvances", "trappings", "details"];
+  }
+
+  get stepKey()
+  {
+    return this.constructor.steps[this.step];
+  }
+
+  getData()
+  {
+    let data = super.getData();
+    let gen = this.gen;
+    data.step = {[this.stepKey] : true};
+    data.stepLabel = game.i18n.localize(`CHARGEN.Step.${this.stepKey}`);
+    data.stepNumber = this.step + 1;
+    data.stepCount = this.constructor.steps.length;
+    data.first = this.step == 0;
+    data.last = this.step == this.constructor.steps.length - 1;
+    data.exp = this.exp;
+    data.gen = gen;
+    data.species = WFRP4E.species;
+
+    if (this.stepKey == "characteristics" && gen.method)
+    {
+      data.characteristics = Object.keys(WFRP4E.characteristics).map(c => {
+        return {key : c, abrev : WFRP4E.characteristicsAbbrev[c], base : this._base(c), roll : gen.rolls ? gen.rolls[c] : 0, points : gen.points ? gen.points[c] : 0, value : this._initial(c), swapping : gen.swap == c}
+      })
+      data.allocated = gen.method == "allocated";
+      data.canSwap = ["rolled", "swapped"].includes(gen.method);
+      data.canReroll = gen.method != "rerolled" && gen.method != "allocated";
+      data.pointsLeft = gen.points ? 100 - Object.values(gen.points).reduce((a, b) => a + b, 0) : 0;
+      data.extra = WFRP4E.speciesExtra[gen.species];
+      data.fate = WFRP4E.speciesFate[gen.species] + gen.extraFate;
+      data.resilience = WFRP4E.speciesRes[gen.species] + data.extra - gen.extraFate;
+      data.method = game.i18n.localize(`CHARGEN.Method.${gen.method}`);
+    }
+    if (this.stepKey == "career")
+    {
+      data.careers = WFRP_Tables.career.rows.filter(r => r.range[gen.species].length).map(r => r.name);
+      data.canReroll = gen.careerMethod == "rolled";
+    }
+    if (this.stepKey == "speciesAdvances")
+    {
+      data.speciesSkills = WFRP4E.speciesSkills[gen.species].map(name => {return {name, advances : gen.speciesSkills[name] || 0}});
+      data.choiceTalents = gen.choiceTalents.map((options, index) => {return {index, options : options.map(name => {return {name, chosen : gen.talentChoices[index] == name}})}});
+    }
+    if (this.stepKey == "careerAdvances")
+    {
+      data.careerSkills = gen.career.data.skills.map(name => {return {name, advances : gen.careerSkills[name] || 0}});
+      data.careerCharacteristics = gen.career.data.characteristics.map(c => {return {key : c, abrev : WFRP4E.characteristicsAbbrev[c], advances : gen.careerCharacteristics[c] || 0}});
+      data.skillAdvancesLeft = 40 - this._sum(gen.careerSkills);
+      data.characteristicAdvancesLeft = 5 - this._sum(gen.careerCharacteristics);
+    }
+    return data;
+  }
+
+  // XP earned by random generation, and in total
+  get exp()
+  {
+    let exp = this.gen.exp;
+    return {species : exp.species || 0, characteristics : exp.characteristics || 0, career : exp.career || 0, total : (exp.species || 0) + (exp.characteristics || 0) + (exp.career || 0)};
+  }
+
+  activateListeners(html)
+  {
+    super.activateListeners(html);
+
+    html.find(".wizard-next").click(ev => {
+      let error = this._validate();
+      if (error)
+        return ui.notifications.error(error)
+      this._enterStep(this.step + 1);
+    })
+    html.find(".wizard-back").click(ev => {
+      this.step--;
+      this.render(true);
+    })
+    html.find(".wizard-create").click(ev => {
+      let error = this._validate();
+      if (error)
+        return ui.notifications.error(error)
+      this.createCharacter();
+    })
+
+    // Every input is stored in this.gen by its name, e.g. speciesSkills.Cool
+    html.find(".wizard-step input, .wizard-step select").change(ev => {
+      let input = ev.currentTarget;
+      let value = input.type == "checkbox" ? input.checked : input.value;
+      if (input.dataset.dtype == "Number")
+        value = Number(value) || 0;
+      this._onChange(input.name, value);
+      this.render(true);
+    })
+
+    // Buttons of each step, data-action is the method called
+    html.find(".wizard-action").click(async ev => {
+      await this[`_${ev.currentTarget.dataset.action}`](ev.currentTarget.dataset);
+      this.render(true);
+    })
+  }
+
+  /**
+   * Create the character with everything chosen, award the XP earned, and open its sheet
+   */
+  async createCharacter()
+  {
+    let gen = this.gen;
+    let actor = await Actor.create({name : gen.details.name, type : "character"});
+
+    let fate = WFRP4E.speciesFate[gen.species] + gen.extraFate;
+    let resilience = WFRP4E.speciesRes[gen.species] + WFRP4E.speciesExtra[gen.species] - gen.extraFate;
+    let data = {
+      "data.details.species.value" : WFRP4E.species[gen.species],
+      "data.details.move.value" : WFRP4E.speciesMovement[gen.species],
+      "data.status.fate.value" : fate,
+      "data.status.fortune.value" : fate,
+      "data.status.resilience.value" : resilience,
+      "data.status.resolve.value" : resilience,
+      "data.details.age.value" : gen.details.age,
+      "data.details.height.value" : gen.details.height,
+      "data.details.eyecolour.value" : gen.details.eyes,
+      "data.details.haircolour.value" : gen.details.hair
+    }
+    for (let c in WFRP4E.characteristics)
+    {
+      data[`data.characteristics.${c}.initial`] = this._initial(c);
+      data[`data.characteristics.${c}.advances`] = gen.careerCharacteristics[c] || 0;
+    }
+    await actor.update(data);
+
+    // Species and career advances add up - basic skills are already on the character, others are added if advanced
+    let advances = duplicate(gen.speciesSkills);
+    for (let name in gen.careerSkills)
+      advances[name] = (advances[name] || 0) + gen.careerSkills[name];
+    let updates = [];
+    let items = [];
+    for (let name in advances)
+    {
+      let owned = actor.items.find(i => i.type == "skill" && i.name == name);
+      if (owned)
+        updates.push({_id : owned.data._id, "data.advances.value" : advances[name]});
+      else if (advances[name])
+      {
+        let skill = await WFRP_Utility.findSkill(name).catch(error => ui.notifications.error(error));
+        if (!skill)
+          continue;
+        let skillData = duplicate(skill.data);
+        skillData.data.advances.value = advances[name];
+        items.push(skillData);
+      }
+    }
+
+    let talents = gen.talents.concat(Object.values(gen.talentChoices), gen.randomTalents, [gen.careerTalent]);
+    for (let name of talents)
+    {
+      let talent = await WFRP_Utility.findTalent(name).catch(error => ui.notifications.error(error));
+      if (talent)
+        items.push(duplicate(talent.data));
+    }
+
+    let career = duplicate(gen.career);
+    career.data.current.value = true;
+    items.push(career);
+
+    for (let item of items)
+      delete item._id;
+    if (updates.length)
+      await actor.updateEmbeddedEntity("OwnedItem", updates);
+    await actor.createEmbeddedEntity("OwnedItem", items);
+    await CareerWFRP.addAdvances(actor, {skills : [], talents : [], trappings : gen.trappings.filter(t => t.checked).map(t => t.name)});
+
+    if (this.exp.total)
+      await ExperienceWFRP.award(actor, this.exp.total, game.i18n.localize("XP.CharGen"));
+
+    this.close();
+    actor.sheet.render(true);
+  }
+
+  // Moving forward, a step is set up the first time it is entered
+  async _enterStep(step)
+  {
+    this.step = step;
+    let gen = this.gen;
+    if (this.stepKey == "speciesAdvances" && !gen.speciesSkills)
+    {
+      let {talents, choiceTalents, randomTalents} = GeneratorWfrp4e.speciesTalents(gen.species);
+      gen.speciesSkills = {};
+      gen.talents = talents;
+      gen.choiceTalents = choiceTalents;
+      gen.talentChoices = {};
+      gen.randomTalents = [];
+      for (let i = 0; i < randomTalents; i++)
+        gen.randomTalents.push(WFRP_Tables.rollTable("talents").name);
+    }
+    if (this.stepKey == "careerAdvances" && !gen.careerSkills)
+    {
+      gen.careerSkills = {};
+      gen.careerCharacteristics = {};
+      gen.careerTalent = "";
+    }
+    if (this.stepKey == "trappings" && !gen.trappings)
+    {
+      let classTrappings = game.i18n.localize(WFRP4E.classTrappings[WFRP_Utility.matchClosest(WFRP4E.classTrappings, gen.career.data.class.value)]);
+      gen.trappings = classTrappings.split(",").concat(gen.career.data.trappings).map(t => t.trim()).filter(t => t).map(name => {return {name, checked : true}});
+    }
+    if (this.stepKey == "details" && !gen.details)
+      gen.details = GeneratorWfrp4e.generateDetails(gen.species);
+    this.render(true);
+  }
+
+  _onChange(name, value)
+  {
+    let gen = this.gen;
+    if (name == "species")
+      return this._setSpecies(value, 0);
+    if (name == "career")
+      return this._setCareer(value, "chosen", 0);
+    if (name.startsWith("trappings."))
+      gen.trappings[Number(name.split(".")[1])].checked = value;
+    else
+      setProperty(gen, name, value);
+  }
+
+  /* ------------------------------------ Step actions (data-action) --------------------------------------- */
+
+  _rollSpecies()
+  {
+    this._setSpecies(WFRP_Tables.rollTable("species").value, WFRP4E.randomExp.speciesRand);
+  }
+
+  _rollCharacteristics()
+  {
+    this._roll();
+    this.gen.method = "rolled";
+    this.gen.exp.characteristics = WFRP4E.randomExp.statsRand;
+  }
+
+  _rerollCharacteristics()
+  {
+    this._roll();
+    this.gen.method = "rerolled";
+    this.gen.exp.characteristics = 0;
+  }
+
+  // Click a characteristic then another to swap their rolls
+  _swapCharacteristic({characteristic})
+  {
+    let gen = this.gen;
+    if (!gen.swap)
+      return gen.swap = characteristic;
+    [gen.rolls[gen.swap], gen.rolls[characteristic]] = [gen.rolls[characteristic], gen.rolls[gen.swap]];
+    gen.swap = undefined;
+    gen.method = "swapped";
+    gen.exp.characteristics = WFRP4E.randomExp.statsReorder;
+  }
+
+  _allocateCharacteristics()
+  {
+    let gen = this.gen;
+    gen.method = "allocated";
+    gen.exp.characteristics = 0;
+    gen.points = {};
+    for (let c in WFRP4E.characteristics)
+      gen.points[c] = 10;
+    gen.swap = undefined;
+    gen.extraFate = gen.extraFate || 0;
+  }
+
+  async _rollCareer()
+  {
+    let name = WFRP_Tables.rollTable("career", {}, this.gen.species).name;
+    await this._setCareer(name, "rolled", WFRP4E.randomExp.careerRand);
+    this.gen.careerOptions = [name];
+  }
+
+  // Roll twice more, and choose among the three careers rolled
+  async _rerollCareer()
+  {
+    let options = this.gen.careerOptions.concat([1, 2].map(i => WFRP_Tables.rollTable("career", {}, this.gen.species).name));
+    this.gen.careerMethod = "rerolled";
+    this.gen.exp.career = WFRP4E.randomExp.careerReroll;
+    this.gen.careerOptions = options;
+  }
+
+  async _chooseRolledCareer({career})
+  {
+    await this._setCareer(career, this.gen.careerMethod, this.gen.exp.career);
+  }
+
+  _rerollTalent({index})
+  {
+    this.gen.randomTalents[Number(index)] = WFRP_Tables.rollTable("talents").name;
+  }
+
+  _rerollDetails()
+  {
+    this.gen.details = GeneratorWfrp4e.generateDetails(this.gen.species);
+  }
+
+  /* ------------------------------------------------------------------------------------------------------------ */
+
+  // Choosing another species starts generation over
+  _setSpecies(species, exp)
+  {
+    this.gen = {species, exp : {species : exp}};
+  }
+
+  // Choosing another career resets the choices depending on it
+  async _setCareer(name, method, exp)
+  {
+    let career = await GeneratorWfrp4e.findCareer(name);
+    if (!career)
+      return ui.notifications.error(game.i18n.format("CHARGEN.CareerNotFound", {career : name}))
+    mergeObject(this.gen, {career : duplicate(career.data), careerMethod : method, careerSkills : undefined, careerCharacteristics : undefined, careerTalent : undefined, trappings : undefined});
+    this.gen.exp.career = exp;
+  }
+
+  // Roll the random part of each characteristic (2d10), added to the species base
+  _roll()
+  {
+    let rolled = WFRP_Utility.speciesCharacteristics(this.gen.species, false);
+    this.gen.rolls = {};
+    for (let c in WFRP4E.characteristics)
+      this.gen.rolls[c] = rolled[c] - this._base(c);
+    this.gen.points = undefined;
+    this.gen.swap = undefined;
+    this.gen.extraFate = this.gen.extraFate || 0;
+  }
+
+  _base(characteristic)
+  {
+    return parseInt(WFRP4E.speciesCharacteristics[this.gen.species][characteristic].split("+")[1]);
+  }
+
+  _initial(characteristic)
+  {
+    let gen = this.gen;
+    return this._base(characteristic) + (gen.method == "allocated" ? gen.points[characteristic] : gen.rolls[characteristic]);
+  }
+
+  _sum(object)
+  {
+    return Object.values(object || {}).reduce((a, b) => a + b, 0);
+  }
+
+  /**
+   * Check the current step is complete
+   *
+   * @returns {String} What is missing, or undefined if the step is complete
+   */
+  _validate()
+  {
+    let gen = this.gen;
+    switch (this.stepKey)
+    {
+      case "species":
+        if (!gen.species)
+          return game.i18n.localize("CHARGEN.Error.Species");
+        break;
+      case "characteristics":
+        if (!gen.method)
+          return game.i18n.localize("CHARGEN.Error.Characteristics");
+        if (gen.method == "allocated" && (this._sum(gen.points) != 100 || Object.values(gen.points).some(p => p < 4 || p > 18)))
+          return game.i18n.localize("CHARGEN.Error.Points");
+        if (gen.extraFate < 0 || gen.extraFate > WFRP4E.speciesExtra[gen.species])
+          return game.i18n.localize("CHARGEN.Error.Extra");
+        break;
+      case "career":
+        if (!gen.career)
+          return game.i18n.localize("CHARGEN.Error.Career");
+        break;
+      case "speciesAdvances":
+        let skills = Object.values(gen.speciesSkills);
+        if (skills.some(a => ![0, 3, 5].includes(a)) || skills.filter(a => a == 5).length != 3 || skills.filter(a => a == 3).length != 3)
+          return game.i18n.localize("CHARGEN.Error.SpeciesSkills");
+        if (gen.choiceTalents.some((c, index) => !gen.talentChoices[index]))
+          return game.i18n.localize("CHARGEN.Error.SpeciesTalents");
+        break;
+      case "careerAdvances":
+        if (this._sum(gen.careerSkills) != 40 || Object.values(gen.careerSkills).some(a => a < 0 || a > 10))
+          return game.i18n.localize("CHARGEN.Error.CareerSkills");
+        if (this._sum(gen.careerCharacteristics) != 5 || Object.values(gen.careerCharacteristics).some(a => a < 0))
+          return game.i18n.localize("CHARGEN.Error.CareerCharacteristics");
+        if (!gen.careerTalent)
+          return game.i18n.localize("CHARGEN.Error.CareerTalent");
+        break;
+      case "details":
+        if (!gen.details.name)
+          return game.i18n.localize("CHARGEN.Error.Name");
+        break;
+    }
+  }
+}
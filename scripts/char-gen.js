@@ -124,6 +124,27 @@ class GeneratorWfrp4e
       exp : exp
     }
 
+    let {talents, choiceTalents, randomTalents} = this.speciesTalents(species)
+    cardData.randomTalents = []
+    for (let i = 0; i < randomTalents; i++)
+      cardData.randomTalents.push(WFRP_Tables.rollTable("talents").name)
+
+    cardData.speciesTalents = talents;
+    cardData.choiceTalents = choiceTalents;
+    renderTemplate("systems/wfrp4e/templates/chat/chargen/species-skills-talents.html", cardData).then(html =>{
+      let chatData = WFRP_Utility.chatDataSetup(html)
+      ChatMessage.create(chatData);
+    })
+  }
+
+  /**
+   * Talents of a species - those every member has, the choices between two, and the number of random talents
+   * 
+   * @param {String} species Species key
+   * @returns {Object} {talents, choiceTalents, randomTalents}
+   */
+  static speciesTalents(species)
+  {
     let talents = []
     let choiceTalents = []
 
@@ -140,16 +161,7 @@ class GeneratorWfrp4e
     })
     // Last 'talent' in the species talent array is a number denoting random talents.
     let randomTalents = WFRP4E.speciesTalents[species][WFRP4E.speciesTalents[species].length-1]
-    cardData.randomTalents = []
-    for (let i = 0; i < randomTalents; i++)
-      cardData.randomTalents.push(WFRP_Tables.rollTable("talents").name)
-
-    cardData.speciesTalents = talents;
-    cardData.choiceTalents = choiceTalents;
-    renderTemplate("systems/wfrp4e/templates/chat/chargen/species-skills-talents.html", cardData).then(html =>{
-      let chatData = WFRP_Utility.chatDataSetup(html)
-      ChatMessage.create(chatData);
-    })
+    return {talents, choiceTalents, randomTalents}
   }
 
   /**
@@ -196,17 +208,7 @@ class GeneratorWfrp4e
    */
   static async displayCareer(careerName, species, exp, isReroll, isChosen)
   {
-    let pack = game.packs.find(p => p.collection == "wfrp4e.careers")
-    let careers =  await pack.getContent();
-    let careerFound;
-    // Find the tier 1 rank that corresponds with the career name
-    for (let c of careers)
-    {
-      if (c.data.data.careergroup.value == careerName && c.data.data.level.value == 1)
-        careerFound = c
-      if (careerFound)
-        break;
-    }
+    let careerFound = await this.findCareer(careerName);
     // Post the career
     careerFound.postItem()
 
@@ -225,12 +227,59 @@ class GeneratorWfrp4e
     })
   }
 
+  /**
+   * Find the tier 1 rank of a career (rolled careers are named by their career group)
+   * 
+   * @param {String} careerName Career group name
+   */
+  static async findCareer(careerName)
+  {
+    let pack = game.packs.find(p => p.collection == "wfrp4e.careers")
+    let careers =  await pack.getContent();
+    let careerFound;
+    // Find the tier 1 rank that corresponds with the career name
+    for (let c of careers)
+    {
+      if (c.data.data.careergroup.value == careerName && c.data.data.level.value == 1)
+        careerFound = c
+      if (careerFound)
+        break;
+    }
+    return careerFound;
+  }
+
   /**
    * Generate details (hair/eye color, height, etc.) and display on a draggable card.
    * 
    * @param {String} species Species key
    */
   static async rollDetails(species)
+  {
+    let details = this.generateDetails(species);
+
+    // Setup drag and drop values
+    let dataTransfer = {
+      generation : true,
+      type : "details",
+      payload : details
+    }
+    
+    let cardData = mergeObject({species: WFRP4E.species[species]}, details)
+
+    renderTemplate(`systems/wfrp4e/templates/chat/chargen/details.html`, cardData).then(html => {
+      let chatData = WFRP_Utility.chatDataSetup(html)
+      chatData["flags.transfer"] = JSON.stringify(dataTransfer);
+      ChatMessage.create(chatData);
+    })
+  }
+
+  /**
+   * Generate details - name, age, eyes, hair, height
+   * 
+   * @param {String} species Species key
+   * @returns {Object} {name, eyes, hair, age, height}
+   */
+  static generateDetails(species)
   {
     let name, eyes, hair, heightRoll, hFeet, hInches, age
 
@@ -249,32 +298,12 @@ class GeneratorWfrp4e
     hInches = hInches % 12
     console.log(hFeet, hInches)
 
-    // Setup drag and drop values
-    let dataTransfer = {
-      generation : true,
-      type : "details",
-      payload : {
-        name : name,
-        eyes : eyes,
-        hair : hair,
-        age : age,
-        height : `${hFeet}'${hInches}`
-      }
-    }
-    
-    let cardData = {
-      species: WFRP4E.species[species],
+    return {
       name : name,
       eyes : eyes,
       hair : hair,
       age : age,
       height : `${hFeet}'${hInches}`
     }
-
-    renderTemplate(`systems/wfrp4e/templates/chat/chargen/details.html`, cardData).then(html => {
-      let chatData = WFRP_Utility.chatDataSetup(html)
-      chatData["flags.transfer"] = JSON.stringify(dataTransfer);
-      ChatMessage.create(chatData);
-    })
   }
 }
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * This class handles the conditions that take effect at the end of a combatant's turn (see updateCombat).
+ *
+ * Flow:
+ * Combatant's turn ends - Ablaze damage (which also damages the armour burnt by 1 AP), Bleeding and Poisoned Wound loss,
+ * and the Bleeding death chance are rolled and applied
+ * A card describes the results, with the Wound and armour changes recorded for Undo, and a test button for each condition that can be removed (Poisoned, Stunned)
+ * Owner of the actor clicks the button - the Endurance test is rolled and, if successful, removes 1 condition + 1 per SL
+ */
+class ConditionTurnWFRP
+{
+  /**
+   * Find the combatant whose turn just ended and apply the effects of its conditions.
+   * Going back to a previous turn does not apply them again.
+   *
+   * @param {Object} combat     Combat whose turn changed
+   */
+  static turnChanged(combat)
+  {
+    let position = {combat : combat.data._id, round : combat.data.round, turn : combat.data.turn};
+    let last = this._lastPosition;
+    this._lastPosition = position;
+    if (last && last.combat == position.combat && (position.round < last.round || (position.round == last.round && position.turn <= last.turn)))
+      return;
+    if (position.round == 1 && position.turn == 0)
+      return;
+
+    let previous = position.turn == 0 ? combat.turns[combat.turns.length - 1] : combat.turns[position.turn - 1];
+    if (previous)
+      return this.endTurn(previous);
+  }
+
+  /**
+   * Apply the end of turn effects of the combatant's conditions and post the card describing them
+   *
+   * @param {Object} combatant    Combatant whose turn ended
+   */
+  static async endTurn(combatant)
+  {
+    let actor = combatant.actor;
+    if (!actor)
+      return;
+
+    let name = combatant.token ? combatant.token.name : actor.data.name;
+    let startWounds = actor.data.data.status.wounds.value;
+    let wounds = startWounds;
+    let effects = [];
+    let itemChanges = [];
+
+    let ablaze = actor.hasCondition("ablaze");
+    if (ablaze)
+    {
+      let roll = new Roll(`1d10 + ${ablaze - 1}`).roll().total;
+      let hitloc = WFRP_Tables.rollTable(actor.hitLocationTable());
+      let AP = actor.prepareItems().AP[hitloc.result].value;
+      let TB = actor.data.data.characteristics.t.bonus;
+      let damage = Math.max(roll - AP - TB, 1);
+      wounds -= damage;
+      // Body plans other than humanoid (see WFRP_Tables.hitLocation) map their locations onto the armour locations
+      let armourChange = AP ? await this._damageArmour(actor, WFRP_Tables.hitLocation(hitloc.result, actor.hitLocationTable()).armour) : undefined;
+      if (armourChange)
+        itemChanges.push(armourChange);
+      effects.push(game.i18n.format("CONDITIONTURN.Ablaze", {damage, roll, location : game.i18n.localize(hitloc.description), AP, TB}) + (armourChange ? ` ${game.i18n.format("CONDITIONTURN.ArmourDamaged", {armour : armourChange.label})}` : ""));
+    }
+
+    let bleeding = actor.hasCondition("bleeding");
+    if (bleeding)
+    {
+      wounds -= bleeding;
+      effects.push(game.i18n.format("CONDITIONTURN.Bleeding", {wounds : bleeding}));
+    }
+
+    let poisoned = actor.hasCondition("poisoned");
+    if (poisoned)
+    {
+      wounds -= poisoned;
+      effects.push(game.i18n.format("CONDITIONTURN.Poisoned", {wounds : poisoned}));
+    }
+
+    wounds = Math.max(wounds, 0);
+
+    // 10% chance of dying per Bleeding Condition at 0 Wounds, a double clots the wound
+    if (bleeding && wounds == 0)
+    {
+      let deathRoll = new Roll("1d100").roll().total;
+      let chance = bleeding * 10;
+      if (deathRoll <= chance)
+        effects.push(game.i18n.format("CONDITIONTURN.Death", {roll : deathRoll, chance}));
+      else
+        effects.push(game.i18n.format("CONDITIONTURN.Survived", {roll : deathRoll, chance}));
+
+      if (deathRoll % 11 == 0 || deathRoll == 100)
+      {
+        effects.push(game.i18n.localize("CONDITIONTURN.Clotted"));
+        await this.removeConditions(actor, "bleeding", 1);
+      }
+    }
+
+    let tests = ["poisoned", "stunned"].filter(c => actor.hasCondition(c)).map(c => {return {condition : c, name : WFRP4E.conditions[c]}});
+    if (!effects.length && !tests.length)
+      return;
+
+    let changes = [];
+    if (wounds != startWounds)
+    {
+      changes.push({path : "data.status.wounds.value", label : game.i18n.localize("Wounds"), from : startWounds, to : wounds});
+      await actor.update({"data.status.wounds.value" : wounds});
+      await ChannelWFRP.damaged(actor);
+    }
+    let undoRecord = changes.length || itemChanges.length ? UndoWFRP.record(actor, {changes, items : itemChanges}) : undefined;
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/condition-turn-card.html", {name, effects, tests, startWounds, wounds, woundsChanged : wounds != startWounds});
+    let chatData = WFRP_Utility.chatDataSetup(html, "roll");
+    chatData.speaker = {actor : actor.data._id, token : combatant.tokenId, scene : canvas.scene ? canvas.scene._id : undefined, alias : name};
+    if (undoRecord)
+      chatData["flags.undo"] = [undoRecord];
+    return ChatMessage.create(chatData);
+  }
+
+  // Fire damages the first worn armour with AP left at the location burnt by 1 AP, returns the item change (for Undo) if any
+  static async _damageArmour(actor, location)
+  {
+    let armour = actor.items.find(i => i.data.type == "armour" && i.data.data.worn.value && i.data.data.maxAP[location] && i.data.data.currentAP[location] != 0);
+    if (!armour)
+      return;
+    // -1 is undamaged armour, at its maximum AP - recorded as that maximum so that Undo can revert it as a number
+    let from = armour.data.data.currentAP[location] == -1 ? armour.data.data.maxAP[location] : armour.data.data.currentAP[location];
+    let to = from - 1;
+    let change = {_id : armour.data._id, path : `data.currentAP.${location}`, label : armour.data.name, from, to};
+    await actor.updateEmbeddedEntity("OwnedItem", {_id : change._id, [change.path] : to});
+    return change;
+  }
+
+  /**
+   * Respond to a test button on the end of turn card - roll Endurance for the actor and remove conditions if successful
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollRemoval(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    let condition = $(event.currentTarget).attr("data-condition");
+    let actor = WFRP_Utility.getSpeaker(message.data.speaker);
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("CONDITIONTURN.NotOwner"))
+
+    // Stunned is always Challenging, the difficulty of Poisoned is determined by the poison, so it is left to the dialog
+    let options = {testDifficulty : "challenging"};
+    let result;
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Endurance"));
+    if (skill)
+      result = await actor.setupSkill(skill.data, options);
+    else
+      result = await actor.setupCharacteristic("t", options);
+
+    if (result && result.outcome == "success")
+      await this.removeConditions(actor, condition, 1 + Math.max(Number(result.SL) || 0, 0));
+  }
+
+  /**
+   * Remove conditions, gaining a Fatigued Condition once all Bleeding, Poisoned, or Stunned Conditions are removed
+   * (only if not already Fatigued for Stunned)
+   *
+   * @param {Object} actor        Actor to remove conditions from
+   * @param {String} condition    Condition key
+   * @param {Number} value        Number of conditions to remove
+   */
+  static async removeConditions(actor, condition, value)
+  {
+    if (!actor.hasCondition(condition))
+      return;
+    await actor.removeCondition(condition, value);
+    if (actor.hasCondition(condition))
+      return;
+
+    if (["bleeding", "poisoned"].includes(condition) || (condition == "stunned" && !actor.hasCondition("fatigued")))
+      await actor.addCondition("fatigued");
+  }
+}
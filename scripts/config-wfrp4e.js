@@ -427,6 +427,13 @@ WFRP4E.xpCost = {
 	"skill": [10, 15, 20, 30, 40, 60, 80, 110, 140, 180, 220, 270, 320, 380, 440]
 }
 
+// XP costs of career progression - moving to the next level of a completed career level, changing career from a completed level or not
+WFRP4E.careerCosts = {
+	"nextLevel": 100,
+	"changeComplete": 100,
+	"changeIncomplete": 200
+}
+
 WFRP4E.skillGroup = {
 	"isSpec": "ITEM.IsSpec",
 	"noSpec": "ITEM.NoSpec"
@@ -717,6 +724,17 @@ WFRP4E.difficultyLabels = {
 	"vhard": "Very Hard (-40)"
 }
 
+// Group Test resolutions
+WFRP4E.groupTestResolutions = {
+	"best": "GROUPTEST.ResolutionBest",
+	"all": "GROUPTEST.ResolutionAll",
+	"assisted": "GROUPTEST.ResolutionAssisted"
+}
+
+// Bonus for each assisting character, and the maximum total bonus
+WFRP4E.assistBonus = 10
+WFRP4E.assistMax = 30
+
 WFRP4E.locations = {
 	"head": "Head",
 	"body": "Body",
@@ -726,6 +744,35 @@ WFRP4E.locations = {
 	"lLeg": "Left Leg",
 }
 
+// Miscast table rolled for each number of miscasts
+WFRP4E.miscastTables = {
+	1: "minormis",
+	2: "majormis",
+	3: "catastrophicmis"
+}
+
+// Hit Location Tables - body plans, see WFRP_Tables.hitLocation()
+WFRP4E.hitLocationTables = {
+	"hitloc": "Humanoid",
+	"hitloc-quadruped": "Quadruped",
+	"hitloc-winged": "Winged",
+	"hitloc-serpentine": "Serpentine",
+	"hitloc-multiheaded": "Multi-headed"
+}
+
+// Corruption exposure strengths, and the Corruption points gained by failing the test against them
+WFRP4E.corruptionStrength = {
+	"minor": "Minor",
+	"moderate": "Moderate",
+	"major": "Major"
+}
+
+WFRP4E.corruptionPoints = {
+	"minor": 1,
+	"moderate": 2,
+	"major": 3
+}
+
 // Trapping Availability
 WFRP4E.availability = {
 	"None": "-",
@@ -890,6 +937,19 @@ WFRP4E.conditions = {
 }
 
 
+// Test penalties per condition (see ActorWfrp4e.conditionModifiers())
+// all: every test - characteristics: tests based on these characteristics - skills: skills whose name includes these - except: skills never affected
+WFRP4E.conditionModifiers = {
+	"blinded": {value : -10, characteristics : ["ws", "bs"], skills : ["NAME.Perception"]},
+	"deafened": {value : -10, skills : ["NAME.Perception"]},
+	"entangled": {value : -10, characteristics : ["ws", "ag"]},
+	"fatigued": {value : -10, all : true},
+	"poisoned": {value : -10, all : true},
+	"stunned": {value : -10, all : true},
+	"broken": {value : -10, all : true, except : ["NAME.Athletics", "NAME.Stealth"]},
+	"prone": {value : -20, characteristics : ["ws", "ag"]}
+}
+
 WFRP4E.conditionDescriptions = {
 	"ablaze": "At the end of your Turn, you suffer [[/r 1d10]] Wounds to a random<a class ='table-click' data-table='hitloc'><i class='fas fa-list'></i> Hit Location</a>, modified by Toughness Bonus and Armor Points, with a minimum of 1 Wound suffered, and if armour exists at that location it is damaged by 1. Each extra Ablaze Condition you have adds +1 to the Damage suffered; so, three Ablaze Conditions result in 1d10+2 Damage suffered.<br><br>One Ablaze Condition can be removed with a successful Athletics Test, with each SL removing an extra Ablaze Condition. The Difficulty for this Test is modified by circumstances: it’s much easier to put out a fire rolling around on sand than it is in the middle of an oil-soaked kitchen",
 	"bleeding": "You are bleeding badly. Lose 1 Wound at the end of your Turn, ignoring all modifiers. Further, suﬀer a penalty of –10 to any Tests to resist Festering Wounds, Minor Infection, or Blood Rot. If you reach 0 Wounds and fail your Endurance test to stay standing up, you fall <a class = 'condition-chat'><i class='fas fa-user-injured'></i> Unconscious</a>,<br><br>Regardless of if you are Unconscious or not, you have a 10% chance of dying at the end of your Turn per Bleeding Condition if you are at 0 Wounds. If a double is scored on this roll, your wound clots a little: lose 1 Bleeding.<br><br>You cannot regain consciousness until all Bleeding Conditions are removed.<br><br>A Bleeding Condition can be removed with: a successful Heal Test, with each SL removing an extra Bleeding Condition; or with any spell or prayer that heals Wounds, with one Condition removed per Wound healed.<br><br>Once all Bleeding Conditions are removed, gain one <a class = 'condition-chat'><i class='fas fa-user-injured'></i> Fatigued</a> Condition.",
@@ -924,6 +984,73 @@ WFRP4E.symptoms = {
 	"swelling": "Swelling"
 }
 
+// Test modifiers of symptoms while a disease is active, by severity if it changes the penalty (see DiseaseWFRP.modifiers)
+WFRP4E.symptomModifiers = {
+	"buboes": {value : -10, characteristics : ["ws", "bs", "s", "t", "ag", "dex"]},
+	"convulsions": {value : -10, moderate : -20, characteristics : ["ws", "bs", "s", "t", "ag", "dex"]},
+	"fever": {value : -10, characteristics : ["ws", "bs", "s", "t", "ag", "dex", "fel"]},
+	"pox": {value : -10, characteristics : ["fel"]}
+}
+
+// Conditions gained while a symptom is active, removed on recovery
+WFRP4E.symptomConditions = {
+	"malaise": "fatigued"
+}
+
+// Endurance tests symptoms require each day, by severity if it changes the difficulty
+WFRP4E.symptomDailyTests = {
+	"blight": {difficulty : "veasy", moderate : "easy", severe : "average"},
+	"gangrene": {difficulty : "average"},
+	"wounded": {difficulty : "easy"}
+}
+
+// Endeavours characters can undertake between adventures (see DowntimeWFRP), and how many each
+WFRP4E.endeavours = {
+	"income": "ENDEAVOUR.Income",
+	"training": "ENDEAVOUR.Training",
+	"unusualLearning": "ENDEAVOUR.UnusualLearning",
+	"banking": "ENDEAVOUR.Banking",
+	"consultExpert": "ENDEAVOUR.ConsultExpert",
+	"recover": "ENDEAVOUR.Recover",
+	"errand": "ENDEAVOUR.Errand"
+}
+WFRP4E.endeavourLimit = 3;
+
+// Psychologies that apply against the targets in parentheses (anyone if none) - SL and damage bonuses to melee attacks,
+// immunity to Fear and Terror from those targets, and restrictions displayed when attacking. Frenzied ones only apply while the
+// character is frenzied (see PsychologyWFRP.enterFrenzy)
+WFRP4E.psychologyEffects = {
+	"hatred": {name : "Hatred", slBonus : 1, immune : true, restriction : "PSYCHOLOGY.HatredRestriction"},
+	"animosity": {name : "Animosity", slBonus : 1, restriction : "PSYCHOLOGY.AnimosityRestriction"},
+	"prejudice": {name : "Prejudice", restriction : "PSYCHOLOGY.PrejudiceRestriction"},
+	"frenzy": {name : "Frenzy", damage : 1, frenzied : true, immune : true, restriction : "PSYCHOLOGY.FrenzyRestriction"}
+}
+
+// How injuries heal - duration (TB is replaced by the actor's Toughness Bonus), Endurance test at the end, healed faster by Heal tests, needs Surgery
+WFRP4E.injuryHealing = {
+	"Broken Bone (Minor)": {duration : "30+1d10 days", endTest : "average"},
+	"Broken Bone (Major)": {duration : "40+1d10 days", endTest : "average"},
+	"Torn Muscle": {duration : "30-TB days", heal : true},
+	"Amputated Part": {surgery : true}
+}
+
+// Lasting effects of lost or broken parts, by injury name and location - test penalties, and whether only one hand can be used
+WFRP4E.injuryEffects = {
+	"amputated": {name : "Amputated Part", parts : {
+		"hand": {oneHanded : true},
+		"arm": {oneHanded : true},
+		"eye": {modifiers : [{skills : ["NAME.Perception"], value : -20}]},
+		"ear": {modifiers : [{skills : ["NAME.Perception"], value : -10}, {characteristics : ["fel"], value : -10}]},
+		"nose": {modifiers : [{characteristics : ["fel"], value : -20}]},
+		"foot": {modifiers : [{skills : ["NAME.Athletics", "NAME.Dodge"], value : -20}]},
+		"leg": {modifiers : [{skills : ["NAME.Athletics", "NAME.Dodge"], value : -30}]}
+	}},
+	"broken": {name : "Broken Bone", parts : {
+		"arm": {oneHanded : true},
+		"leg": {modifiers : [{skills : ["NAME.Athletics", "NAME.Dodge"], value : -30}]}
+	}}
+}
+
 WFRP4E.symptomDescriptions = {
 	"blight": "WFRP4E.SymptomDescriptions.Blight",
 	"buboes": "WFRP4E.SymptomDescriptions.Buboes",
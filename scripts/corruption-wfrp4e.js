@@ -0,0 +1,211 @@
+/**
+ * This class handles exposing characters to Corruption, and the Mutations they suffer when it grows beyond their threshold.
+ *
+ * Flow:
+ * GM exposes actors to Minor, Moderate, or Major Corruption (token controls) - card is posted with a Roll button for each actor
+ * Player clicks Roll - Endurance (physical) or Cool (spiritual) is tested, failing adds the Corruption points of the exposure
+ * If Corruption now exceeds the actor's threshold, the card offers a Toughness (physical) or Willpower (mental) test
+ * Failing that test rolls on the Mutation table and adds the Mutation from the compendium
+ *
+ * Results are written into the card by the GM (players go through the socket), with changes recorded for Undo.
+ */
+class CorruptionWFRP
+{
+  /**
+   * Show a dialog for the GM to choose the strength and source of the exposure, and the actors exposed.
+   */
+  static exposureDialog()
+  {
+    let dialogData = {
+      actors : TestRequestWFRP.defaultActors().map(a => {return {id : a.data._id, name : a.data.name}}),
+      strengths : WFRP4E.corruptionStrength,
+      types : {physical : game.i18n.localize("CORRUPTION.Physical"), mental : game.i18n.localize("CORRUPTION.Mental")},
+      difficultyLabels : WFRP4E.difficultyLabels,
+      testDifficulty : "challenging"
+    }
+    renderTemplate("systems/wfrp4e/templates/chat/corruption-dialog.html", dialogData).then(dlg => {
+      new Dialog({
+        title : game.i18n.localize("CORRUPTION.Title"),
+        content : dlg,
+        buttons : {
+          expose : {
+            label : game.i18n.localize("CORRUPTION.Expose"),
+            callback : html => {
+              let actorIds = html.find('[name="actors"]:checked').map(function() {return this.value}).get()
+              this.createExposure(html.find('[name="strength"]').val(), html.find('[name="type"]').val(), html.find('[name="testDifficulty"]').val(), actorIds.map(id => game.actors.get(id)))
+            }
+          }
+        },
+        default : "expose"
+      }).render(true)
+    })
+  }
+
+  /**
+   * Post the exposure card
+   *
+   * @param {String} strength     minor, moderate, or major (see WFRP4E.corruptionStrength)
+   * @param {String} type         physical (Endurance) or mental (Cool)
+   * @param {String} difficulty   Difficulty key (see WFRP4E.difficultyModifiers)
+   * @param {Array}  actors       Actors exposed
+   */
+  static async createExposure(strength, type, difficulty, actors)
+  {
+    actors = actors.filter(a => a);
+    if (!actors.length)
+      return ui.notifications.error(game.i18n.localize("CORRUPTION.NoActors"))
+
+    let exposure = {
+      strength,
+      type,
+      difficulty,
+      corruption : WFRP4E.corruptionPoints[strength],
+      actors : actors.map(a => {return {id : a.data._id, name : a.data.name}})
+    }
+
+    let chatData = WFRP_Utility.chatDataSetup(await this._renderCard(exposure), "roll");
+    chatData["flags.corruptionExposure"] = exposure;
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Respond to a Roll button on an exposure card - test Endurance or Cool for the actor
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollExposure(event)
+  {
+    let messageId = $(event.currentTarget).parents('.message').attr("data-message-id");
+    let exposure = game.messages.get(messageId).data.flags.corruptionExposure;
+    let actor = game.actors.get($(event.currentTarget).attr("data-actor-id"));
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("CORRUPTION.NotOwner"))
+
+    let options = {testDifficulty : exposure.difficulty};
+    let result;
+    let skillName = game.i18n.localize(exposure.type == "physical" ? "NAME.Endurance" : "NAME.Cool");
+    let skill = actor.items.find(i => i.type == "skill" && i.name == skillName);
+    if (skill)
+      result = await actor.setupSkill(skill.data, options);
+    else
+      result = await actor.setupCharacteristic(exposure.type == "physical" ? "t" : "wp", options);
+
+    if (result)
+      this._sendResult({messageId, actorId : actor.data._id, test : "exposure", result : this._result(result)});
+  }
+
+  /**
+   * Respond to a Mutation test button on an exposure card - test Toughness or Willpower for the actor
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollMutation(event)
+  {
+    let messageId = $(event.currentTarget).parents('.message').attr("data-message-id");
+    let actor = game.actors.get($(event.currentTarget).attr("data-actor-id"));
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("CORRUPTION.NotOwner"))
+
+    let characteristic = $(event.currentTarget).attr("data-characteristic");
+    let result = await actor.setupCharacteristic(characteristic, {testDifficulty : "challenging"});
+    if (result)
+      this._sendResult({messageId, actorId : actor.data._id, test : characteristic == "t" ? "mutatephys" : "mutatemental", result : this._result(result)});
+  }
+
+  /**
+   * Apply the result of an exposure or Mutation test and write it into the card (GM only, players go through the socket)
+   *
+   * @param {Object} rollData   messageId, actorId, test (exposure, mutatephys, or mutatemental), and the result
+   */
+  static async updateExposure({messageId, actorId, test, result})
+  {
+    let message = game.messages.get(messageId);
+    let actor = game.actors.get(actorId);
+    if (!message || !actor)
+      return;
+    let exposure = duplicate(message.data.flags.corruptionExposure);
+    let exposed = exposure.actors.find(a => a.id == actorId);
+    if (!exposed)
+      return;
+    let undo = duplicate(message.data.flags.undo || []);
+
+    if (test == "exposure")
+    {
+      exposed.result = result;
+      if (!result.passed)
+      {
+        let corruption = actor.data.data.status.corruption;
+        let change = {path : "data.status.corruption.value", label : game.i18n.localize("Corruption"), from : Number(corruption.value), to : Number(corruption.value) + exposure.corruption};
+        await actor.update({"data.status.corruption.value" : change.to});
+        undo.push(UndoWFRP.record(actor, {changes : [change]}));
+        exposed.corruption = change;
+        exposed.threshold = change.to > corruption.max;
+      }
+    }
+    else
+    {
+      exposed.mutationResult = result;
+      if (!result.passed)
+      {
+        let mutation = duplicate(WFRP_Tables.rollTable(test));
+        exposed.mutation = {name : mutation.name, description : mutation.description, roll : mutation.roll, table : WFRP_Tables[test].name};
+        let item = await this._mutationItem(mutation, test == "mutatephys" ? "physical" : "mental");
+        let created = await actor.createOwnedItem(item);
+        undo.push(UndoWFRP.record(actor, {createdItems : [created._id]}));
+      }
+    }
+
+    return message.update({
+      content : await this._renderCard(exposure),
+      "flags.corruptionExposure" : exposure,
+      "flags.undo" : undo
+    })
+  }
+
+  // Mutation item from the compendium, or created from the table result if not found
+  static async _mutationItem(mutation, type)
+  {
+    let item = await WFRP_Utility.findItem(mutation.name, "mutation", "wfrp4e.mutations");
+    let itemData = item ? duplicate(item.data) : {
+      name : mutation.name,
+      type : "mutation",
+      data : {
+        description : {value : mutation.description},
+        mutationType : {value : type}
+      }
+    }
+    delete itemData._id;
+    return itemData;
+  }
+
+  static _result(result)
+  {
+    return {
+      roll : result.roll,
+      SL : result.SL,
+      description : result.description,
+      passed : result.outcome == "success"
+    }
+  }
+
+  static _sendResult(rollData)
+  {
+    if (game.user.isGM)
+      this.updateExposure(rollData)
+    else
+      game.socket.emit("system.wfrp4e", {type : "corruptionExposure", payload : rollData})
+  }
+
+  static _renderCard(exposure)
+  {
+    return renderTemplate("systems/wfrp4e/templates/chat/corruption-card.html", {
+      strength : WFRP4E.corruptionStrength[exposure.strength],
+      test : game.i18n.localize(exposure.type == "physical" ? "NAME.Endurance" : "NAME.Cool"),
+      mutationCharacteristic : exposure.type == "physical" ? "t" : "wp",
+      mutationTest : game.i18n.localize(exposure.type == "physical" ? "CHAR.T" : "CHAR.WP"),
+      difficulty : WFRP4E.difficultyLabels[exposure.difficulty],
+      corruption : exposure.corruption,
+      actors : exposure.actors
+    })
+  }
+}
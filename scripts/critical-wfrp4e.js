@@ -0,0 +1,125 @@
+/**
+ * This class handles rolling and applying Critical Wounds when damage is applied (see ActorWfrp4e.applyDamage).
+ *
+ * Flow:
+ * Damage takes the victim below 0 Wounds, or the attack was a critical hit - the critical table for the hit location is rolled
+ * GM confirms the result in a dialog (rerolling or adjusting the conditions if needed)
+ * The Critical item is added to the victim (which subtracts its Wounds, see createOwnedItem), and its conditions are added to the victim
+ */
+class CriticalWFRP
+{
+  /**
+   * Roll a Critical Wound and ask the GM to confirm it before applying it
+   *
+   * @param {Object} actor      Actor receiving the Critical Wound
+   * @param {String} location   Hit location key (see WFRP_Tables.hitLocation)
+   * @param {Number} modifier   Modifier to the critical roll
+   */
+  static async rollCritical(actor, location, modifier = 0)
+  {
+    let hitLocation = WFRP_Tables.hitLocation(location, actor.hitLocationTable());
+    let table = `crit${hitLocation.crit}`;
+    let result = WFRP_Tables.rollTable(table, {modifier, minOne : true});
+    let conditions = this.parseConditions(result.description);
+    let dialogData = {
+      actor : actor.token ? actor.token.data.name : actor.data.name,
+      table : WFRP_Tables[table].name,
+      location : hitLocation.description,
+      modifier,
+      result,
+      // Every condition is listed so the GM can add those that depend on a test
+      conditions : Object.keys(WFRP4E.conditions).filter(key => key != "defeated").map(key => {return {key, name : WFRP4E.conditions[key], value : conditions[key] || 0}})
+    }
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/critical-dialog.html", dialogData);
+    new Dialog({
+      title : game.i18n.localize("CRITICAL.Title"),
+      content : html,
+      buttons : {
+        apply : {
+          label : game.i18n.localize("CRITICAL.Apply"),
+          callback : html => {
+            let conditions = {};
+            html.find(".critical-condition").each(function() {
+              conditions[this.name] = Number(this.value) || 0
+            })
+            this.applyCritical(actor, location, result, conditions)
+          }
+        },
+        reroll : {
+          label : game.i18n.localize("CRITICAL.Reroll"),
+          callback : () => this.rollCritical(actor, location, modifier)
+        },
+        cancel : {
+          label : game.i18n.localize("CRITICAL.Cancel")
+        }
+      },
+      default : "apply"
+    }).render(true)
+  }
+
+  /**
+   * Add the Critical Wound item and its conditions to the actor
+   *
+   * @param {Object} actor        Actor receiving the Critical Wound
+   * @param {String} location     Hit location key
+   * @param {Object} result       Critical table result
+   * @param {Object} conditions   Conditions to add, {condition key : number of conditions}
+   */
+  static async applyCritical(actor, location, result, conditions = {})
+  {
+    let critical = await WFRP_Utility.findItem(result.name, "critical", "wfrp4e.criticals");
+    let itemData = critical ? duplicate(critical.data) : {
+      name : result.name,
+      type : "critical",
+      data : {
+        wounds : {value : result.wounds},
+        description : {value : result.description}
+      }
+    }
+    delete itemData._id;
+    itemData.data.location = {value : WFRP_Tables.hitLocation(location, actor.hitLocationTable()).description};
+    await actor.createOwnedItem(itemData);
+
+    for (let condition in conditions)
+    {
+      if (conditions[condition] > 0)
+        await actor.addCondition(condition, conditions[condition]);
+    }
+  }
+
+  /**
+   * Find the conditions a Critical Wound inflicts from its description, such as "Gain 2 Bleeding and 1 Stunned Condition."
+   *
+   * Only sentences starting with gain or take are considered, and only up to "or", "that" or "until", so that conditions
+   * depending on a failed test ("Make an Endurance Test or gain the Prone Condition") or on other conditions are left to the GM.
+   *
+   * @param {String} description    Critical Wound description
+   * @returns {Object} {condition key : number of conditions}
+   */
+  static parseConditions(description = "")
+  {
+    let conditions = {};
+    let names = Object.values(WFRP4E.conditions).join("|");
+    let regex = new RegExp(`(\\d+|\\[\\[1d10\\]\\])?\\s*(${names})\\b(?!\\s+bone)`, "gi");
+    for (let sentence of description.split("."))
+    {
+      sentence = sentence.trim();
+      if (!/^(you |also )?(gain|take)/i.test(sentence))
+        continue;
+      sentence = sentence.split(/\s(or|that|until)\s/)[0];
+      let match;
+      while ((match = regex.exec(sentence)) !== null)
+      {
+        let key = Object.keys(WFRP4E.conditions).find(k => WFRP4E.conditions[k].toLowerCase() == match[2].toLowerCase());
+        let value = 1;
+        if (match[1] && match[1].includes("1d10"))
+          value = new Roll("1d10").roll().total;
+        else if (match[1])
+          value = parseInt(match[1]);
+        conditions[key] = (conditions[key] || 0) + value;
+      }
+    }
+    return conditions;
+  }
+}
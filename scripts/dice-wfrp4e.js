@@ -17,6 +17,7 @@ class DiceWFRP
    * @param {Object} dialogOptions      Dialog template, buttons, everything associated with the dialog
    * @param {Object} testData           Test info: target number, SL bonus, success bonus, etc
    * @param {Object} cardOptions        Chat card template and info
+   * @returns {Promise} Resolves to the test result returned by the roll function
    */
   static prepareTest(
   {
@@ -70,34 +71,51 @@ class DiceWFRP
     dialogOptions.data.rollMode = rollMode;
     dialogOptions.data.rollModes = CONFIG.rollModes;
 
+    if (testData.extra.options.suppressMessage)
+      cardOptions.suppressMessage = true;
+
     if (!testData.extra.options.bypass)
     {
-      // Render Test Dialog
-      renderTemplate(dialogOptions.template, dialogOptions.data).then(dlg =>
+      // Render Test Dialog, resolving with the test result once rolled (or null if the dialog is closed)
+      return new Promise(resolve =>
       {
-        new Dialog(
+        renderTemplate(dialogOptions.template, dialogOptions.data).then(dlg =>
         {
-          title: dialogOptions.title,
-          content: dlg,
-          buttons:
+          new Dialog(
           {
-            rollButton:
+            title: dialogOptions.title,
+            content: dlg,
+            buttons:
             {
-              label: game.i18n.localize("Roll"),
-              callback: html => dialogOptions.callback(html, roll)
-            }
-          },
-          default: "rollButton"
-        }).render(true);
-      });
+              rollButton:
+              {
+                label: game.i18n.localize("Roll"),
+                callback: html => resolve(dialogOptions.callback(html, roll))
+              }
+            },
+            default: "rollButton",
+            close: () => resolve(null)
+          }).render(true);
+        });
+      })
     }
     else 
     {
-      testData.testModifier = testData.extra.options.testModifier || testData.testModifier
-      testData.target = testData.target + testData.testModifier;
+      // Condition penalties still apply when bypassing the dialog
+      testData.testModifier = (testData.extra.options.testModifier || testData.testModifier) + (dialogOptions.data.conditionModifier || 0)
+      // Difficulty is only applied if specified, otherwise target is assumed to already be final
+      if (testData.extra.options.testDifficulty)
+        testData.testDifficulty = WFRP4E.difficultyModifiers[testData.extra.options.testDifficulty] || 0;
+      else
+        testData.testDifficulty = 0;
+      testData.target = testData.target + testData.testModifier + testData.testDifficulty;
       testData.slBonus = testData.extra.options.slBonus || testData.slBonus
       testData.successBonus = testData.extra.options.successBonus || testData.successBonus
-      roll(testData, cardOptions)
+      if (testData.extra.options.hitLocation != undefined)
+        testData.hitLocation = testData.extra.options.hitLocation
+      if (testData.extra.options.rollMode)
+        cardOptions.rollMode = testData.extra.options.rollMode
+      return roll(testData, cardOptions)
     }
   }
 
@@ -131,6 +149,7 @@ class DiceWFRP
     else
       SL = testData.SL || ((Math.floor(targetNum / 10) - Math.floor(roll.total / 10)) + slBonus); // Use input SL if exists, otherwise, calculate from roll (used for editing a test result)
     let description = "";
+    let outcome;
 
     // Test determination logic can be complicated due to SLBonus
     // SLBonus is always applied, but doesn't change a failure to a success or vice versa
@@ -141,6 +160,7 @@ class DiceWFRP
     if (roll.total >= 96 || roll.total > targetNum && roll.total > 5)
     {
       description = game.i18n.localize("Failure")
+      outcome = "failure"
       if (roll.total >= 96 && SL > -1)
         SL = -1;
 
@@ -181,6 +201,7 @@ class DiceWFRP
     else if (roll.total <= 5 || roll.total <= targetNum)
     {
       description = game.i18n.localize("Success")
+      outcome = "success"
       if (game.settings.get("wfrp4e", "fastSL"))
       {
         let rollString = roll.total.toString();
@@ -242,6 +263,7 @@ class DiceWFRP
       roll: roll.total,
       SL: SL,
       description: description,
+      outcome: outcome,
       preData: testData,
       extra:
       {}
@@ -532,6 +554,12 @@ class DiceWFRP
     if (miscastCounter > 3)
       miscastCounter = 3
 
+    // Table rolled by the Miscast button on the card (see MiscastWFRP)
+    testResults.extra.miscastTable = WFRP4E.miscastTables[miscastCounter]
+
+    // Spells that last can be applied to their targets from the card (see SpellEffectWFRP)
+    testResults.extra.effect = testResults.description == game.i18n.localize("ROLL.CastingSuccess") && !!SpellEffectWFRP.parseDuration(spell.duration)
+
     // Calculate Damage if the spell has it specified and succeeded in casting
     try
     {
@@ -544,6 +572,9 @@ class DiceWFRP
 		ui.notifications.error(game.i18n.localize("Error.DamageCalc") + ": " + error)
     } // If something went wrong calculating damage, do nothing and continue
 
+    // Overcasts can be spent on the spell card (see OvercastWFRP)
+    if (testResults.overcasts)
+      testResults.overcast = OvercastWFRP.options(spell, testResults.overcasts, testResults.damage)
 
     return testResults;
   }
@@ -623,6 +654,7 @@ class DiceWFRP
       _id: spell._id,
       'data.cn.SL': SL
     });
+    testResults.channelledSL = SL;
 
 
     if (miscastCounter > 3)
@@ -664,6 +696,9 @@ class DiceWFRP
     if (miscastCounter > 3)
       miscastCounter = 3
 
+    // Table rolled by the Miscast button on the card (see MiscastWFRP)
+    testResults.extra.miscastTable = WFRP4E.miscastTables[miscastCounter]
+
     return testResults;
   }
 
@@ -692,23 +727,14 @@ class DiceWFRP
     {
       testResults.description = game.i18n.localize("ROLL.PrayRefused")
 
-      // Wrath of the gads activates if ones digit is equal or less than current sin
-      let unitResult = Number(testResults.roll.toString().split('').pop())
-      if (unitResult == 0)
-        unitResult = 10;
-      if (testResults.roll % 11 == 0 || unitResult <= currentSin)
+      // Wrath of the gods activates if ones digit is equal or less than current sin, or on a double
+      if (testResults.roll % 11 == 0 || SinWFRP.wrath(testResults.roll, currentSin))
       {
         if (testResults.roll % 11 == 0)
           testResults.extra.color_red = true;
 
         testResults.extra.wrath = game.i18n.localize("ROLL.Wrath")
-        testResults.extra.wrathModifier = `+${currentSin * 10}`
-        currentSin--;
-
-        if (currentSin < 0)
-          currentSin = 0;
-
-        actor.update({"data.status.sin.value": currentSin});
+        testResults.extra.wrathModifier = currentSin * 10;
       }
     }
     // Test succeeded
@@ -716,18 +742,11 @@ class DiceWFRP
     {
       testResults.description = game.i18n.localize("ROLL.PrayGranted")
 
-      // Wrath of the gads activates if ones digit is equal or less than current sin      
-      let unitResult = Number(testResults.roll.toString().split('').pop())
-      if (unitResult == 0)
-        unitResult = 10;
-      if (unitResult <= currentSin)
+      // Wrath of the gods activates if ones digit is equal or less than current sin
+      if (SinWFRP.wrath(testResults.roll, currentSin))
       {
         testResults.extra.wrath = game.i18n.localize("ROLL.Wrath")
         testResults.extra.wrathModifier = currentSin * 10;
-        currentSin--;
-        if (currentSin < 0)
-          currentSin = 0;
-        actor.update({"data.status.sin.value": currentSin});
       }
       extensions = Math.floor(SL / 2);
     }
@@ -745,6 +764,9 @@ class DiceWFRP
     } // If something went wrong calculating damage, do nothing and still render the card
 
     testResults.extensions = extensions;
+
+    // Prayers that last can be applied to their targets from the card (see SpellEffectWFRP)
+    testResults.extra.effect = testResults.description == game.i18n.localize("ROLL.PrayGranted") && !!SpellEffectWFRP.parseDuration(prayer.duration)
     return testResults;
   }
 
@@ -767,6 +789,10 @@ class DiceWFRP
 
     testData.other = testData.other.join("<br>")
 
+    // Tests rolled through the API may not want a card at all
+    if (chatOptions.suppressMessage)
+      return Promise.resolve(null);
+
     let chatData = {
       title: chatOptions.title,
       testData: testData,
@@ -791,11 +817,14 @@ class DiceWFRP
       attackerMessage: chatOptions.attackerMessage,
       defenderMessage: chatOptions.defenderMessage,
       unopposedStartMessage: chatOptions.unopposedStartMessage,
-      startMessagesList: chatOptions.startMessagesList
+      startMessagesList: chatOptions.startMessagesList,
+      rerolledMessage: chatOptions.rerolledMessage
     };
 
     if (!rerenderMessage)
     {
+      AdvantageWFRP.recordAction(chatOptions.speaker)
+
       // Generate HTML from the requested chat template
       return renderTemplate(chatOptions.template, chatData).then(html =>
       {
@@ -1064,6 +1093,102 @@ class DiceWFRP
       OpposedWFRP.resolveUnopposed(game.messages.get(messageId));
     })
 
+    // Roll a test requested by the GM
+    html.on("click", '.request-roll', event =>
+    {
+      event.preventDefault()
+      TestRequestWFRP.rollRequested(event)
+    })
+
+    // Roll a test against Corruption, or to resist Mutation, from an exposure card
+    html.on("click", '.exposure-roll', event =>
+    {
+      event.preventDefault()
+      CorruptionWFRP.rollExposure(event)
+    })
+
+    html.on("click", '.mutation-roll', event =>
+    {
+      event.preventDefault()
+      CorruptionWFRP.rollMutation(event)
+    })
+
+    // Roll a daily Endurance test required by a disease's symptoms
+    html.on("click", '.disease-test', event =>
+    {
+      event.preventDefault()
+      DiseaseWFRP.rollDailyTest(event)
+    })
+
+    // Abandon the Extended Test tracked on a skill card
+    html.on("click", '.extended-close', async event =>
+    {
+      event.preventDefault()
+      let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"))
+      let actor = WFRP_Utility.getSpeaker(message.data.speaker)
+      if (!actor || !actor.owner)
+        return ui.notifications.error(game.i18n.localize("EXTENDED.NotOwner"))
+      let name = $(event.currentTarget).attr("data-skill")
+      await actor.closeExtendedTest(name)
+      ui.notifications.notify(game.i18n.format("EXTENDED.Closed", {name}))
+    })
+
+    // Roll a Cool test against Fear or Terror
+    html.on("click", '.psychology-roll', event =>
+    {
+      event.preventDefault()
+      PsychologyWFRP.rollTest(event)
+    })
+
+    // Heal test or Surgery on an injury
+    html.on("click", '.injury-heal', event =>
+    {
+      event.preventDefault()
+      InjuryWFRP.rollHealing(event)
+    })
+
+    // Revert the Advantage changes logged in a card
+    html.on("click", '.advantage-undo', event =>
+    {
+      event.preventDefault()
+      AdvantageWFRP.undo(event)
+    })
+
+    // Roll a test to remove a condition from an end of turn card
+    html.on("click", '.condition-removal', event =>
+    {
+      event.preventDefault()
+      ConditionTurnWFRP.rollRemoval(event)
+    })
+
+    // Roll and apply a miscast from a cast or channel card
+    html.on("click", '.miscast-roll', event =>
+    {
+      event.preventDefault()
+      MiscastWFRP.rollFromCard(event)
+    })
+
+    // Apply a spell or prayer that lasts to the targeted tokens
+    html.on("click", '.apply-effect', event =>
+    {
+      event.preventDefault()
+      SpellEffectWFRP.applyFromCard(event)
+    })
+
+    // Spend Overcasts on a spell card
+    html.on("click", '.overcast-button, .overcast-reset', event =>
+    {
+      event.preventDefault()
+      OvercastWFRP.spend(event)
+    })
+
+    // Remove a spell or prayer effect listed in a status card
+    html.on("click", '.effect-remove', event =>
+    {
+      event.preventDefault()
+      SpellEffectWFRP.removeFromCard(event)
+    })
+
     // Used to select damage dealt (there's 2 numbers if Tiring + impact/damaging)
     html.on("click", '.damage-select', event =>
     {
@@ -1130,7 +1255,7 @@ class DiceWFRP
           {
             let actor = game.user.character;
             let money = duplicate(actor.data.items.filter(i => i.type == "money"));
-            money = MarketWfrp4e.payCommand($(event.currentTarget).attr("data-pay"),money);
+            money = MarketWfrp4e.payCommand($(event.currentTarget).attr("data-pay"),money,actor);
             if(money)
               actor.updateEmbeddedEntity("OwnedItem", money);
           }
@@ -0,0 +1,254 @@
+/**
+ * This class tracks the diseases of every afflicted actor as days go by, from contraction to recovery.
+ *
+ * Flow:
+ * GM clicks Next Day (token controls) - every disease not yet rolled has its incubation rolled, then incubations count down a day
+ * Incubation ends - the duration is rolled and the symptoms take effect (penalties in test dialogs, see WFRP4E.symptomModifiers,
+ * and conditions, see WFRP4E.symptomConditions)
+ * Each day while symptomatic - the duration counts down, and the card offers the daily Endurance tests symptoms require (see WFRP4E.symptomDailyTests)
+ * Duration ends - the disease is removed, along with the conditions its symptoms caused (recorded in its symptomConditions flag)
+ *
+ * Incubation and duration are tracked in the disease's rolled values (incubation.roll, duration.roll), the same ones the
+ * actor sheet lets you roll and count down by hand. A disease is symptomatic once its incubation has counted down to 0.
+ */
+class DiseaseWFRP
+{
+  /**
+   * Roll a disease length, e.g. "1d10 days" -> "7 days"
+   *
+   * @param {String} length   Incubation or duration of the disease
+   */
+  static rollLength(length)
+  {
+    try
+    {
+      let rollValue = new Roll(length.split(" ")[0]).roll().total
+      let timeUnit = length.split(" ")[1];
+      return rollValue.toString() + " " + timeUnit;
+    }
+    catch
+    {
+      return length;
+    }
+  }
+
+  /**
+   * Whether the disease's incubation has ended and its symptoms are in effect
+   *
+   * @param {Object} disease    Disease item data
+   */
+  static isActive(disease)
+  {
+    return !!disease.data.incubation.roll && this.days(disease.data.incubation.roll) <= 0;
+  }
+
+  /**
+   * Parse the symptoms of a disease, e.g. "Blight (Moderate), Fever"
+   *
+   * @param {Object} disease    Disease item data
+   * @returns {Array} {key, name, severity}, key is undefined for symptoms not in WFRP4E.symptoms
+   */
+  static symptoms(disease)
+  {
+    return (disease.data.symptoms.value || "").split(",").map(s => s.trim()).filter(s => s).map(symptom => {
+      let name = symptom.split("(")[0].trim();
+      let severity = symptom.includes("(") ? symptom.split("(")[1].split(")")[0].trim().toLowerCase() : undefined;
+      let key = Object.keys(WFRP4E.symptoms).find(k => WFRP4E.symptoms[k].toLowerCase() == name.toLowerCase());
+      return {key, name : symptom, severity};
+    })
+  }
+
+  /**
+   * Test modifiers caused by the symptoms of the actor's active diseases (see WFRP4E.symptomModifiers)
+   *
+   * @param {Object} actor            Actor tested
+   * @param {String} characteristic   Characteristic the test is based on
+   * @returns {Array} Modifiers, {source, value}
+   */
+  static modifiers(actor, characteristic)
+  {
+    let modifiers = [];
+    for (let disease of actor.items.filter(i => i.type == "disease").map(i => i.data))
+    {
+      if (!this.isActive(disease))
+        continue;
+      for (let symptom of this.symptoms(disease))
+      {
+        let penalty = WFRP4E.symptomModifiers[symptom.key];
+        if (penalty && penalty.characteristics.includes(characteristic))
+          modifiers.push({source : `${symptom.name} (${disease.name})`, value : penalty[symptom.severity] || penalty.value})
+      }
+    }
+    return modifiers;
+  }
+
+  /**
+   * A day passes - advance the diseases of every afflicted actor
+   */
+  static async nextDay()
+  {
+    let actors = game.actors.entities.concat(canvas.tokens.placeables.filter(t => t.actor && !t.data.actorLink).map(t => t.actor));
+    for (let actor of actors.filter(a => a.items.find(i => i.type == "disease")))
+      await this.advance(actor);
+  }
+
+  /**
+   * Advance the actor's diseases by a day and post what happened
+   *
+   * @param {Object} actor    Afflicted actor
+   */
+  static async advance(actor)
+  {
+    let diseases = [];
+    let tests = [];
+    let itemChanges = [];
+
+    for (let item of actor.items.filter(i => i.type == "disease"))
+    {
+      let disease = duplicate(item.data);
+      let status = {name : disease.name};
+      diseases.push(status);
+
+      if (!this.isActive(disease))
+      {
+        // Newly contracted diseases have their incubation rolled first
+        if (!disease.data.incubation.roll)
+          disease.data.incubation.roll = this.rollLength(disease.data.incubation.value);
+        disease.data.incubation.roll = this.countDown(disease.data.incubation.roll);
+
+        if (this.isActive(disease))
+        {
+          if (!disease.data.duration.roll)
+            disease.data.duration.roll = this.rollLength(disease.data.duration.value);
+          status.description = game.i18n.format("DISEASE.Symptomatic", {duration : disease.data.duration.roll});
+          status.symptoms = this.symptoms(disease).map(s => s.name);
+          // Only the conditions actually added are removed on recovery, those that do not stack may have been there already
+          let added = [];
+          for (let symptom of this.symptoms(disease).filter(s => WFRP4E.symptomConditions[s.key]))
+          {
+            let condition = WFRP4E.symptomConditions[symptom.key];
+            if (WFRP_Utility.isNumericCondition(condition) || !actor.hasCondition(condition))
+            {
+              await actor.addCondition(condition);
+              added.push(condition);
+            }
+          }
+          if (added.length)
+            await actor.updateEmbeddedEntity("OwnedItem", {_id : disease._id, "flags.symptomConditions" : added});
+        }
+        else
+          status.description = game.i18n.format("DISEASE.Incubating", {incubation : disease.data.incubation.roll});
+      }
+      else
+      {
+        tests = tests.concat(this._dailyTests(disease));
+        disease.data.duration.roll = this.countDown(disease.data.duration.roll || this.rollLength(disease.data.duration.value));
+        if (this.days(disease.data.duration.roll) <= 0)
+        {
+          status.description = game.i18n.localize("DISEASE.Recovered");
+          tests = tests.concat(this._lingeringTests(disease));
+          await this.recover(actor, disease);
+          continue;
+        }
+        status.description = game.i18n.format("DISEASE.Remaining", {duration : disease.data.duration.roll});
+      }
+
+      for (let type of ["incubation", "duration"])
+      {
+        if (disease.data[type].roll != item.data.data[type].roll)
+          itemChanges.push({_id : disease._id, path : `data.${type}.roll`, label : `${disease.name} ${game.i18n.localize(type == "incubation" ? "Incubation" : "Duration")}`, from : item.data.data[type].roll, to : disease.data[type].roll});
+      }
+    }
+
+    if (itemChanges.length)
+      await actor.updateEmbeddedEntity("OwnedItem", itemChanges.map(c => {return {_id : c._id, [c.path] : c.to}}));
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/disease-card.html", {name : actor.token ? actor.token.data.name : actor.data.name, diseases, tests});
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    if (itemChanges.length)
+      chatData["flags.undo"] = [UndoWFRP.record(actor, {items : itemChanges})];
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * The disease has run its course - remove it and the conditions its symptoms caused, one of each it added
+   *
+   * @param {Object} actor      Afflicted actor
+   * @param {Object} disease    Disease item data
+   */
+  static async recover(actor, disease)
+  {
+    let added = getProperty(disease, "flags.symptomConditions") || [];
+    await actor.deleteEmbeddedEntity("OwnedItem", disease._id);
+    for (let condition of added)
+      await actor.removeCondition(condition, 1);
+    ui.notifications.notify(game.i18n.format("DISEASE.RecoveredNotice", {name : actor.data.name, disease : disease.name}))
+  }
+
+  /**
+   * Respond to a daily test button on a disease card (or the end of healing on an injury card) - roll Endurance for the actor at the test's difficulty
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollDailyTest(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    let actor = WFRP_Utility.getSpeaker(message.data.speaker);
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("DISEASE.NotOwner"))
+
+    let options = {testDifficulty : $(event.currentTarget).attr("data-difficulty")};
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Endurance"));
+    if (skill)
+      return actor.setupSkill(skill.data, options);
+    else
+      return actor.setupCharacteristic("t", options);
+  }
+
+  // Daily Endurance tests required by the disease's symptoms
+  static _dailyTests(disease)
+  {
+    return this.symptoms(disease).filter(s => WFRP4E.symptomDailyTests[s.key]).map(symptom => {
+      let test = WFRP4E.symptomDailyTests[symptom.key];
+      let difficulty = test[symptom.severity] || test.difficulty;
+      return {symptom : symptom.name, disease : disease.name, difficulty, label : WFRP4E.difficultyLabels[difficulty]}
+    })
+  }
+
+  // Lingering symptoms are tested when the disease ends, at the difficulty they are marked with, e.g. Lingering (Average)
+  static _lingeringTests(disease)
+  {
+    return this.symptoms(disease).filter(s => s.key == "lingering").map(symptom => {
+      let difficulty = WFRP4E.difficultyModifiers[symptom.severity] != undefined ? symptom.severity : "challenging";
+      return {symptom : symptom.name, disease : disease.name, difficulty, label : WFRP4E.difficultyLabels[difficulty]}
+    })
+  }
+
+  /**
+   * Days left in a rolled length, shorter units than days are over by the next day (also used by InjuryWFRP)
+   *
+   * @param {String} length   Rolled length, e.g. "2 weeks"
+   */
+  static days(length)
+  {
+    let value = parseInt(length) || 0;
+    let unit = (length.split(" ")[1] || "").toLowerCase();
+    if (unit.startsWith(game.i18n.localize("DISEASE.WeekUnit")))
+      return value * 7;
+    if (unit.startsWith(game.i18n.localize("DISEASE.DayUnit")))
+      return value;
+    return 0;
+  }
+
+  /**
+   * Count a rolled length down, e.g. "2 weeks" -> "13 days"
+   *
+   * @param {String} length   Rolled length
+   * @param {Number} days     Days to count down
+   */
+  static countDown(length, days = 1)
+  {
+    return `${Math.max(this.days(length) - days, 0)} ${game.i18n.localize("DISEASE.Days")}`;
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * This class is the Downtime window, where characters choose what they do between adventures (Endeavours) and the GM resolves them.
+ *
+ * Flow:
+ * Players open Downtime (token controls) and choose Endeavours for their characters (see WFRP4E.endeavours), stored in the "downtime" flag
+ * GM opens Downtime and clicks Resolve - for every character, each Endeavour rolls its tests and applies its results:
+ *   Income         - the Income Skill of the current career is tested, the money earned is added to the character's money
+ *   Training       - a Characteristic or Skill is advanced at its XP cost, doubled out of career (see CareerWFRP)
+ *   Unusual Learning - a Skill (1 advance) or Talent not known is learned at its XP cost, doubled out of career
+ *                    (both less the Endeavour XP Discount setting)
+ *   Banking        - money is deposited (or withdrawn, "-1g") to the character's bank (the "bank" flag, in brass pennies)
+ *   Consult an Expert - Gossip is tested to find an expert on the subject
+ *   Recover        - Endurance is tested to Rest and Recover, healing Toughness Bonus + SL Wounds
+ *   Errand         - anything else, recorded as written
+ * A summary is posted to chat (with every change recorded for Undo) and saved as a journal entry
+ */
+class DowntimeWFRP extends Application
+{
+  static get defaultOptions()
+  {
+    const options = super.defaultOptions;
+    options.id = "wfrp4e-downtime";
+    options.template = "systems/wfrp4e/templates/downtime/downtime.html"
+    options.classes.push("wfrp4e", "downtime");
+    options.resizable = true;
+    options.width = 600;
+    options.height = "auto";
+    options.title = game.i18n.localize("ENDEAVOUR.Title")
+    return options;
+  }
+
+  getData()
+  {
+    let data = super.getData();
+    data.isGM = game.user.isGM;
+    data.endeavours = {};
+    for (let key in WFRP4E.endeavours)
+      data.endeavours[key] = game.i18n.localize(WFRP4E.endeavours[key]);
+    data.actors = this.actors.map(a => {
+      let downtime = a.data.flags.downtime || [];
+      let slots = [];
+      for (let i = 0; i < WFRP4E.endeavourLimit; i++)
+        slots.push(downtime[i] || {endeavour : "", target : ""});
+      return {id : a.data._id, name : a.data.name, slots};
+    })
+    return data;
+  }
+
+  // The GM sees every player character (or the selected ones), players see their own
+  get actors()
+  {
+    if (game.user.isGM)
+      return TestRequestWFRP.defaultActors();
+    return game.actors.entities.filter(a => a.data.type == "character" && a.owner);
+  }
+
+  activateListeners(html)
+  {
+    super.activateListeners(html);
+
+    // Save the Endeavours chosen as they change
+    html.find(".endeavour-slot select, .endeavour-slot input").change(ev => {
+      let actorId = $(ev.currentTarget).parents(".downtime-actor").attr("data-actor-id");
+      let actor = game.actors.get(actorId);
+      let downtime = html.find(`.downtime-actor[data-actor-id="${actorId}"] .endeavour-slot`).map(function() {
+        return {endeavour : $(this).find("select").val(), target : $(this).find("input").val()}
+      }).get();
+      actor.update({"flags.downtime" : downtime});
+    })
+
+    html.find(".resolve-downtime").click(async ev => {
+      await this.resolve();
+      this.render(true);
+    })
+  }
+
+  /**
+   * Resolve the Endeavours of every character, post the summary, and save it as a journal entry
+   */
+  async resolve()
+  {
+    let summary = [];
+    let undo = [];
+    for (let actor of this.actors)
+    {
+      let endeavours = (actor.data.flags.downtime || []).filter(d => d.endeavour);
+      if (!endeavours.length)
+        continue;
+
+      let record = {changes : [], items : [], createdItems : [], experience : []};
+      let results = [];
+      for (let {endeavour, target} of endeavours)
+      {
+        let result;
+        try
+        {
+          result = await this[`_${endeavour}`](actor, target);
+        }
+        catch (error)
+        {
+          result = {description : error.message || error};
+        }
+        results.push({name : game.i18n.localize(WFRP4E.endeavours[endeavour]), target, description : result.description});
+        for (let type of ["changes", "items", "createdItems", "experience"])
+          record[type] = record[type].concat(result[type] || []);
+      }
+      record.changes = this._merge(record.changes, c => c.path);
+      record.items = this._merge(record.items, c => c._id + c.path);
+      if (record.changes.length || record.items.length || record.createdItems.length || record.experience.length)
+        undo.push(UndoWFRP.record(actor, record));
+
+      summary.push({name : actor.data.name, endeavours : results});
+      await actor.update({"flags.downtime" : []});
+    }
+    if (!summary.length)
+      return ui.notifications.error(game.i18n.localize("ENDEAVOUR.NoneChosen"))
+
+    let html = await renderTemplate("systems/wfrp4e/templates/downtime/downtime-summary.html", {actors : summary});
+    let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card">${html}</div>`);
+    chatData["flags.undo"] = undo;
+    await ChatMessage.create(chatData);
+    return JournalEntry.create({name : game.i18n.format("ENDEAVOUR.JournalName", {date : new Date().toLocaleDateString()}), content : html});
+  }
+
+  // Test the Income Skill of the current career and add the money earned
+  async _income(actor)
+  {
+    let career = actor.data.items.find(i => i.type == "career" && i.data.current.value);
+    if (!career)
+      throw game.i18n.localize("ENDEAVOUR.NoCareer");
+    let skillName = career.data.skills[career.data.incomeSkill[0]];
+    let skill = actor.items.find(i => i.type == "skill" && i.name == skillName);
+    if (!skill)
+      throw game.i18n.localize("SHEET.SkillMissingWarning");
+
+    let result = await actor.setupSkill(skill.data, {income : career.data.status});
+    if (!result)
+      throw game.i18n.localize("ENDEAVOUR.NotRolled");
+    let items = await this._addMoney(actor, this._incomeCoins(result.moneyEarned));
+    return {description : result.incomeResult, items};
+  }
+
+  // Advance a Characteristic or Skill, out-of-career advances cost double, less the Endeavour discount
+  async _training(actor, target)
+  {
+    let characteristic = Object.keys(WFRP4E.characteristics).find(c => c == target.toLowerCase() || game.i18n.localize(WFRP4E.characteristics[c]).toLowerCase() == target.toLowerCase());
+    if (characteristic)
+    {
+      let advances = actor.data.data.characteristics[characteristic].advances;
+      let inCareer = CareerWFRP.inCareer(actor, "characteristic", characteristic);
+      let cost = this._discounted(CareerWFRP.cost(advances, "characteristic", inCareer));
+      this._spend(actor, cost);
+      let change = {path : `data.characteristics.${characteristic}.advances`, label : game.i18n.localize(WFRP4E.characteristics[characteristic]), from : advances, to : advances + 1};
+      let entry = await ExperienceWFRP.spend(actor,
+        {type : "characteristic", name : change.label, amount : cost, inCareer, key : characteristic, advances : 1},
+        {[change.path] : change.to});
+      return {description : game.i18n.format("ENDEAVOUR.Trained", {target : change.label, cost}), experience : [entry]};
+    }
+
+    let skill = actor.items.find(i => i.type == "skill" && i.name.toLowerCase() == target.toLowerCase());
+    if (!skill)
+      throw game.i18n.format("ENDEAVOUR.NotFound", {target});
+    let advances = skill.data.data.advances.value;
+    let inCareer = CareerWFRP.inCareer(actor, "skill", skill.name);
+    let cost = this._discounted(CareerWFRP.cost(advances, "skill", inCareer));
+    this._spend(actor, cost);
+    let item = {_id : skill.data._id, path : "data.advances.value", label : skill.name, from : advances, to : advances + 1};
+    await actor.updateEmbeddedEntity("OwnedItem", {_id : item._id, [item.path] : item.to});
+    let entry = await ExperienceWFRP.spend(actor, {type : "skill", name : skill.name, amount : cost, inCareer, itemId : item._id, advances : 1});
+    return {description : game.i18n.format("ENDEAVOUR.Trained", {target : skill.name, cost}), experience : [entry]};
+  }
+
+  // Learn a Skill (with 1 advance) or Talent the character does not have, out-of-career ones cost double, less the Endeavour discount
+  async _unusualLearning(actor, target)
+  {
+    if (actor.items.find(i => ["skill", "talent"].includes(i.type) && i.name.toLowerCase() == target.toLowerCase()))
+      throw game.i18n.format("ENDEAVOUR.AlreadyKnown", {target});
+
+    let item;
+    try
+    {
+      item = duplicate((await WFRP_Utility.findSkill(target)).data);
+      item.data.advances.value = 1;
+    }
+    catch
+    {
+      try
+      {
+        item = duplicate((await WFRP_Utility.findTalent(target)).data);
+      }
+      catch
+      {
+        throw game.i18n.format("ENDEAVOUR.NotFound", {target});
+      }
+    }
+    let inCareer = CareerWFRP.inCareer(actor, item.type, item.name);
+    let cost = this._discounted(CareerWFRP.cost(0, item.type, inCareer));
+    this._spend(actor, cost);
+    delete item._id;
+    let created = await actor.createOwnedItem(item);
+    let entry = await ExperienceWFRP.spend(actor, {type : item.type, name : item.name, amount : cost, inCareer, itemId : created._id, advances : 1});
+    return {description : game.i18n.format("ENDEAVOUR.Learned", {target : item.name, cost}), experience : [entry], createdItems : [created._id]};
+  }
+
+  // Deposit money in the bank, or withdraw it if the amount starts with -
+  async _banking(actor, target)
+  {
+    let coins = MarketWfrp4e.parsePayString(target || "");
+    if (!coins)
+      throw game.i18n.localize("MARKET.PayWrongCommand");
+    let brass = coins.gc * 240 + coins.ss * 12 + coins.bp;
+    let bank = actor.data.flags.bank || 0;
+    let withdraw = target.trim().startsWith("-");
+    let items;
+
+    if (withdraw)
+    {
+      if (brass > bank)
+        throw game.i18n.format("ENDEAVOUR.NotEnoughBanked", {bank});
+      items = await this._addMoney(actor, coins);
+    }
+    else
+    {
+      let money = duplicate(actor.data.items.filter(i => i.type == "money"));
+      let available = money.reduce((total, m) => total + m.data.quantity.value * m.data.coinValue.value, 0);
+      if (available < brass || !money.find(m => m.data.coinValue.value == 1))
+        throw game.i18n.localize("MARKET.NotEnoughMoney");
+      money.forEach(m => m.data.quantity.value = m.data.coinValue.value == 1 ? available - brass : 0);
+      items = this._moneyChanges(actor, MarketWfrp4e.consolidateMoney(money));
+      await actor.updateEmbeddedEntity("OwnedItem", items.map(i => {return {_id : i._id, [i.path] : i.to}}));
+    }
+
+    let change = {path : "flags.bank", label : game.i18n.localize("ENDEAVOUR.Bank"), from : bank, to : withdraw ? bank - brass : bank + brass};
+    await actor.update({[change.path] : change.to});
+    return {description : game.i18n.format(withdraw ? "ENDEAVOUR.Withdrawn" : "ENDEAVOUR.Deposited", {amount : target.replace("-", "").trim(), bank : change.to}), changes : [change], items};
+  }
+
+  // Test Gossip to find an expert on the subject
+  async _consultExpert(actor, target)
+  {
+    let options = {testDifficulty : "average"};
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Gossip"));
+    let result = skill ? await actor.setupSkill(skill.data, options) : await actor.setupCharacteristic("fel", options);
+    if (!result)
+      throw game.i18n.localize("ENDEAVOUR.NotRolled");
+    return {description : game.i18n.format(result.outcome == "success" ? "ENDEAVOUR.ExpertFound" : "ENDEAVOUR.ExpertNotFound", {target, SL : result.SL})};
+  }
+
+  // Rest and Recover - test Endurance, the Wounds healed (Toughness Bonus + SL) are added up to the maximum
+  async _recover(actor)
+  {
+    let tb = actor.data.data.characteristics.t.bonus;
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Endurance"));
+    let result = skill ? await actor.setupSkill(skill.data, {rest : true, tb}) : await actor.setupCharacteristic("t", {rest : true});
+    if (!result)
+      throw game.i18n.localize("ENDEAVOUR.NotRolled");
+
+    let wounds = actor.data.data.status.wounds;
+    let change = {path : "data.status.wounds.value", label : game.i18n.localize("Wounds"), from : wounds.value, to : Math.min(wounds.value + result.woundsHealed, wounds.max)};
+    await actor.update({[change.path] : change.to});
+    return {description : game.i18n.format("ENDEAVOUR.Recovered", {wounds : change.to - change.from}), changes : [change]};
+  }
+
+  async _errand(actor, target)
+  {
+    return {description : target};
+  }
+
+  // XP cost less the Endeavour XP Discount setting (a percentage)
+  _discounted(cost)
+  {
+    let discount = Math.min(Math.max(Number(game.settings.get("wfrp4e", "endeavourDiscount")) || 0, 0), 100);
+    return Math.round(cost * (100 - discount) / 100);
+  }
+
+  // Throw if the character does not have enough XP left
+  _spend(actor, cost)
+  {
+    let experience = actor.data.data.details.experience;
+    if (experience.total - experience.spent < cost)
+      throw game.i18n.format("ENDEAVOUR.NotEnoughXP", {cost});
+  }
+
+  // Income is earned as "<amount><b, s, or g>", halves are paid in the lower coin
+  _incomeCoins(moneyEarned)
+  {
+    let amount = parseFloat(moneyEarned) || 0;
+    let type = moneyEarned.slice(-1);
+    if (type == "g")
+      return {gc : Math.floor(amount), ss : amount % 1 ? 10 : 0, bp : 0};
+    if (type == "s")
+      return {gc : 0, ss : Math.floor(amount), bp : amount % 1 ? 6 : 0};
+    return {gc : 0, ss : 0, bp : Math.round(amount)};
+  }
+
+  // Add coins to the character's money items, found by coin value
+  async _addMoney(actor, coins)
+  {
+    let money = duplicate(actor.data.items.filter(i => i.type == "money"));
+    for (let [coin, value] of [["gc", 240], ["ss", 12], ["bp", 1]])
+    {
+      let item = money.find(m => m.data.coinValue.value == value);
+      if (coins[coin] && !item)
+        throw game.i18n.localize("MARKET.CantFindMoneyItems");
+      if (item)
+        item.data.quantity.value += coins[coin];
+    }
+    let items = this._moneyChanges(actor, money);
+    if (items.length)
+      await actor.updateEmbeddedEntity("OwnedItem", items.map(i => {return {_id : i._id, [i.path] : i.to}}));
+    return items;
+  }
+
+  _moneyChanges(actor, money)
+  {
+    return money.map(m => {
+      return {_id : m._id, path : "data.quantity.value", label : m.name, from : actor.getEmbeddedEntity("OwnedItem", m._id).data.quantity.value, to : m.data.quantity.value}
+    }).filter(i => i.from != i.to);
+  }
+
+  // Several Endeavours may change the same value, keep the first value and the last one so Undo restores the original
+  _merge(changes, key)
+  {
+    let merged = {};
+    for (let change of changes)
+    {
+      if (merged[key(change)])
+        merged[key(change)].to = change.to;
+      else
+        merged[key(change)] = duplicate(change);
+    }
+    return Object.values(merged);
+  }
+}
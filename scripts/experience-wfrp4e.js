@@ -0,0 +1,265 @@
+/**
+ * This class keeps the Experience log of characters - every XP award and purchase, so that spending can be reviewed and reverted.
+ *
+ * Awards and purchases update the Experience total or spent along with the log (see award() and spend()), the log is viewed
+ * from the character sheet (Experience), where any entry can be reverted. Manual edits of the total and spent values are logged too.
+ *
+ * Flow of a party award:
+ * GM uses /xp (or Award Experience in the actor directory) - the dialog chooses the amount, reason and characters
+ * Award is made - each character's total and log are updated, and a summary card is posted (which can be undone)
+ *
+ * The log is stored in details.experience.log, each entry:
+ * {
+ *   id       : id of the entry
+ *   date     : when it happened (timestamp)
+ *   type     : award, characteristic, skill, talent, career, or manual (spent edited by hand)
+ *   name     : what was bought (or the reason of an award)
+ *   amount   : XP gained (awards) or spent (purchases), negative when refunded
+ *   inCareer : whether the purchase was in the current career
+ *   key      : characteristic key (characteristic purchases)
+ *   itemId   : skill, talent, or career item bought
+ *   advances : advances gained, -1 for refunds
+ *   reverted : whether the entry has been reverted
+ * }
+ */
+class ExperienceWFRP
+{
+  /**
+   * Award XP to a character
+   *
+   * @param {Object} actor    Character awarded
+   * @param {Number} amount   XP awarded, negative to remove
+   * @param {String} reason   Why XP was awarded
+   * @returns {Object} Log entry of the award, for Undo (see revert())
+   */
+  static async award(actor, amount, reason)
+  {
+    let entry = this._entry({type : "award", name : reason, amount});
+    await actor.update({
+      "data.details.experience.total" : Number(actor.data.data.details.experience.total) + amount,
+      "data.details.experience.log" : this.log(actor).concat(entry)
+    })
+    return entry;
+  }
+
+  /**
+   * Show a dialog for the GM to award XP to the party - the amount, the reason, and the characters awarded
+   *
+   * @param {Array} selected    Characters checked by default, all player characters are listed
+   */
+  static async awardDialog(selected = TestRequestWFRP.defaultActors())
+  {
+    let characters = game.actors.entities.filter(a => a.data.type == "character" && (selected.includes(a) || game.users.entities.some(u => !u.isGM && a.hasPerm(u, "OWNER"))));
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/xp-award-dialog.html", {
+      actors : characters.map(a => {return {id : a.data._id, name : a.data.name, checked : selected.includes(a)}})
+    })
+    new Dialog({
+      title : game.i18n.localize("XP.Award"),
+      content : html,
+      buttons : {
+        award : {
+          label : game.i18n.localize("XP.Award"),
+          callback : html => {
+            let actorIds = html.find('[name="actors"]:checked').map(function() {return this.value}).get()
+            this.awardParty(parseInt(html.find('[name="amount"]').val()), html.find('[name="reason"]').val().trim(), actorIds.map(id => game.actors.get(id)))
+          }
+        }
+      },
+      default : "award"
+    }).render(true)
+  }
+
+  /**
+   * Parse the /xp command - /xp <amount> [reason]
+   *
+   * Awards the actors of the controlled tokens, or every player character if none are controlled.
+   *
+   * @param {Array} args    Command arguments (without /xp)
+   */
+  static awardCommand(args)
+  {
+    if (!args.length)
+      return this.awardDialog();
+    this.awardParty(parseInt(args[0]), args.slice(1).join(" "), TestRequestWFRP.defaultActors());
+  }
+
+  /**
+   * Award XP to each character, and post a summary card
+   *
+   * @param {Number} amount   XP awarded to each character
+   * @param {String} reason   Why XP was awarded
+   * @param {Array}  actors   Characters awarded
+   */
+  static async awardParty(amount, reason, actors)
+  {
+    actors = actors.filter(a => a && a.data.type == "character");
+    if (!amount || !actors.length)
+      return ui.notifications.error(game.i18n.localize("XP.AwardError"))
+    reason = reason || game.i18n.localize("XP.Award");
+
+    let undo = [];
+    for (let actor of actors)
+      undo.push(UndoWFRP.record(actor, {experience : [await this.award(actor, amount, reason)]}));
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/xp-award-card.html", {
+      amount,
+      reason,
+      actors : actors.map(a => {return {name : a.data.name, total : a.data.data.details.experience.total}})
+    })
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData["flags.undo"] = undo;
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Spend XP on a purchase (or refund it, with a negative amount), logging it
+   *
+   * @param {Object} actor    Character spending XP
+   * @param {Object} entry    type, name, amount, inCareer, and key, itemId, advances if relevant (see class description)
+   * @param {Object} update   Other actor data updated along with it, e.g. characteristic advances
+   * @returns {Object} Log entry of the purchase, for Undo (see revert())
+   */
+  static async spend(actor, entry, update = {})
+  {
+    entry = this._entry(entry);
+    await actor.update(mergeObject(update, {
+      "data.details.experience.spent" : Number(actor.data.data.details.experience.spent) + entry.amount,
+      "data.details.experience.log" : this.log(actor).concat(entry)
+    }))
+    return entry;
+  }
+
+  /**
+   * Price of refunding an advance - what its latest purchase not refunded yet cost, in or out of career at the time.
+   * Advances that were not bought (e.g. at character creation) are refunded at the in-career cost.
+   *
+   * @param {Object} actor      Character
+   * @param {Object} advance    type, and key (characteristics) or itemId (skills, talents) of the advance
+   * @param {Number} advances   Advances before the one refunded, to price it if it was not bought
+   * @returns {Object} {amount, inCareer}
+   */
+  static refund(actor, {type, key, itemId}, advances)
+  {
+    let purchases = [];
+    for (let entry of this.log(actor).filter(e => !e.reverted && e.type == type && (type == "characteristic" ? e.key == key : e.itemId == itemId)))
+    {
+      if (entry.advances > 0)
+        purchases.push(entry);
+      else if (entry.advances < 0)
+        purchases.pop();
+    }
+    let purchase = purchases.pop();
+    if (purchase)
+      return {amount : purchase.amount, inCareer : purchase.inCareer};
+    return {amount : CareerWFRP.cost(advances, type, true), inCareer : true};
+  }
+
+  /**
+   * Revert a log entry - refund (or take back) the XP, and undo the advance bought
+   *
+   * @param {Object} actor    Character
+   * @param {String} id       Id of the log entry
+   */
+  static async revert(actor, id)
+  {
+    let log = this.log(actor);
+    let entry = log.find(e => e.id == id);
+    if (!entry || !this.canRevert(entry))
+      return;
+    entry.reverted = true;
+
+    let experience = actor.data.data.details.experience;
+    let update = {"data.details.experience.log" : log};
+    if (entry.type == "award")
+      update["data.details.experience.total"] = Number(experience.total) - entry.amount;
+    else
+      update["data.details.experience.spent"] = Number(experience.spent) - entry.amount;
+
+    let advances = entry.advances || 0;
+    if (entry.type == "characteristic" && advances)
+      update[`data.characteristics.${entry.key}.advances`] = Math.max(actor.data.data.characteristics[entry.key].advances - advances, 0);
+
+    let item = entry.itemId ? actor.getEmbeddedEntity("OwnedItem", entry.itemId) : null;
+    if (item && entry.type == "skill" && advances)
+      await actor.updateEmbeddedEntity("OwnedItem", {_id : item._id, "data.advances.value" : Math.max(item.data.advances.value - advances, 0)});
+    else if (item && entry.type == "talent" && advances > 0)
+      await actor.deleteEmbeddedEntity("OwnedItem", item._id);
+
+    return actor.update(update);
+  }
+
+  /**
+   * Whether a log entry can be reverted - talents refunded are no longer on the character to be restored
+   *
+   * @param {Object} entry    Log entry
+   */
+  static canRevert(entry)
+  {
+    return !entry.reverted && !(entry.type == "talent" && entry.advances < 0);
+  }
+
+  /**
+   * Log manual edits of the Experience total (as awards) and spent, made on the character sheet
+   *
+   * @param {Object} actor      Character edited
+   * @param {Object} formData   Sheet data submitted
+   * @returns {Object} Sheet data, with the log updated
+   */
+  static logManualEdits(actor, formData)
+  {
+    let experience = actor.data.data.details.experience;
+    let entries = [];
+    for (let field of ["total", "spent"])
+    {
+      let value = formData[`data.details.experience.${field}`];
+      if (value !== undefined && value !== null && Number(value) != Number(experience[field]))
+        entries.push(this._entry({type : field == "total" ? "award" : "manual", name : game.i18n.localize("XP.Manual"), amount : Number(value) - Number(experience[field])}));
+    }
+    if (entries.length)
+      formData["data.details.experience.log"] = this.log(actor).concat(entries);
+    return formData;
+  }
+
+  /**
+   * Show the character's Experience log, with a button to revert each entry
+   *
+   * @param {Object} actor    Character
+   */
+  static async showLog(actor)
+  {
+    let entries = this.log(actor).map(e => mergeObject(e, {
+      date : new Date(e.date).toLocaleString(),
+      type : game.i18n.localize(`XP.Type.${e.type}`),
+      outOfCareer : e.inCareer === false,
+      canRevert : this.canRevert(e)
+    })).reverse();
+    let html = await renderTemplate("systems/wfrp4e/templates/actors/actor-experience-log.html", {entries});
+    let dialog = new Dialog({
+      title : `${game.i18n.localize("XP.Log")} - ${actor.data.name}`,
+      content : html,
+      buttons : {
+        close : {label : game.i18n.localize("SHEET.Close")}
+      },
+      default : "close",
+      render : html => {
+        html.find(".xp-revert").click(async ev => {
+          await this.revert(actor, $(ev.currentTarget).parents(".xp-entry").attr("data-entry-id"));
+          dialog.close();
+          this.showLog(actor);
+        })
+      }
+    })
+    dialog.render(true);
+  }
+
+  // Copy of the log, so that it can be modified and saved
+  static log(actor)
+  {
+    return duplicate(actor.data.data.details.experience.log || []);
+  }
+
+  static _entry(entry)
+  {
+    return mergeObject({id : randomID(), date : Date.now(), reverted : false}, entry);
+  }
+}
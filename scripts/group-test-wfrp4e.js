@@ -0,0 +1,167 @@
+/**
+ * This class handles Group Tests - the same Skill or Characteristic Test rolled for every selected token,
+ * consolidated into a single chat card.
+ *
+ * Resolutions:
+ * best     - The group succeeds if anyone succeeds, the best result (highest SL) is highlighted
+ * all      - The group only succeeds if everyone succeeds
+ * assisted - Only the lead actor rolls, every other actor able to attempt the test assists, adding a bonus to the lead's test
+ */
+class GroupTestWFRP
+{
+  /**
+   * Show the Group Test dialog for the currently controlled tokens, launched from the token controls.
+   */
+  static groupTestDialog()
+  {
+    let actors = canvas.tokens.controlled.map(t => t.actor).filter(a => a);
+    if (!actors.length)
+      return ui.notifications.warn(game.i18n.localize("GROUPTEST.NoTokens"))
+
+    let dialogData = {
+      actors : actors.map(a => {return {id : a.token ? a.token.data._id : a.data._id, name : a.token ? a.token.data.name : a.data.name}}),
+      characteristics : WFRP4E.characteristics,
+      difficultyLabels : WFRP4E.difficultyLabels,
+      testDifficulty : game.settings.get("wfrp4e", "testDefaultDifficulty") && !(game.combat && game.combat.started) ? "average" : "challenging",
+      resolutions : WFRP4E.groupTestResolutions,
+      rollMode : game.settings.get("core", "rollMode"),
+      rollModes : CONFIG.rollModes
+    }
+
+    renderTemplate("systems/wfrp4e/templates/chat/group-test-dialog.html", dialogData).then(dlg => {
+      new Dialog({
+        title : game.i18n.localize("GROUPTEST.Title"),
+        content : dlg,
+        buttons : {
+          roll : {
+            label : game.i18n.localize("Roll"),
+            callback : html => {
+              let leadId = html.find('[name="lead"]').val();
+              this.rollGroupTest(actors, {
+                skill : html.find('[name="skill"]').val().trim(),
+                characteristic : html.find('[name="characteristic"]').val(),
+                difficulty : html.find('[name="testDifficulty"]').val(),
+                modifier : Number(html.find('[name="testModifier"]').val()) || 0,
+                resolution : html.find('[name="resolution"]').val(),
+                rollMode : html.find('[name="rollMode"]').val(),
+                lead : actors.find(a => (a.token ? a.token.data._id : a.data._id) == leadId)
+              })
+            }
+          }
+        },
+        default : "roll"
+      }).render(true)
+    })
+  }
+
+  /**
+   * Roll the Group Test for each actor and post the consolidated card.
+   *
+   * @param {Array}  actors     Actors taking part in the test
+   * @param {Object} options    skill or characteristic, difficulty, modifier, resolution, rollMode, lead (assisted only)
+   */
+  static async rollGroupTest(actors, {skill, characteristic, difficulty = "challenging", modifier = 0, resolution = "best", rollMode, lead} = {})
+  {
+    if (!skill && !characteristic)
+      return ui.notifications.error(game.i18n.localize("Error.NoTest"))
+
+    let testName = skill || game.i18n.localize(WFRP4E.characteristics[characteristic]);
+    let testOptions = {skill, characteristic, difficulty, chatCard : false};
+    let results = [];
+
+    if (resolution == "assisted")
+    {
+      lead = lead || actors[0];
+      let assistants = [];
+      for (let actor of actors.filter(a => a != lead))
+      {
+        if (await this._canAttempt(actor, skill))
+          assistants.push(actor.token ? actor.token.data.name : actor.data.name)
+      }
+      let bonus = Math.min(assistants.length * WFRP4E.assistBonus, WFRP4E.assistMax);
+      results.push(await this._rollForActor(lead, mergeObject(testOptions, {modifier : modifier + bonus}, {inplace : false})))
+      results[0].lead = true;
+      results[0].assistants = assistants.join(", ");
+      results[0].assistBonus = bonus;
+    }
+    else
+    {
+      for (let actor of actors)
+        results.push(await this._rollForActor(actor, mergeObject(testOptions, {modifier}, {inplace : false})))
+    }
+
+    // Highest SL first, those who could not attempt the test last
+    results.sort((a, b) => {
+      if (a.unable != b.unable)
+        return a.unable ? 1 : -1
+      return Number(b.SL) - Number(a.SL)
+    });
+
+    let passed = results.filter(r => r.outcome == "success");
+    let groupSuccess;
+    switch (resolution)
+    {
+      case "all":
+        groupSuccess = passed.length == results.length;
+        break;
+      default:
+        groupSuccess = passed.length > 0;
+    }
+    if (resolution == "best" && results.length && !results[0].unable)
+      results[0].best = true;
+
+    let cardData = {
+      title : `${game.i18n.localize("GROUPTEST.Title")} - ${testName}`,
+      difficulty : WFRP4E.difficultyLabels[difficulty],
+      resolution : WFRP4E.groupTestResolutions[resolution],
+      results : results,
+      groupSuccess : groupSuccess
+    }
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/group-test-card.html", cardData);
+    return ChatMessage.create(WFRP_Utility.chatDataSetup(html, rollMode, true));
+  }
+
+  /**
+   * Roll a single actor's part of the Group Test
+   *
+   * @param {Object} actor        Actor rolling
+   * @param {Object} testOptions  Options given to ActorWfrp4e.test()
+   * @returns {Object} test result, with the name and whether the actor was unable to attempt the test
+   */
+  static async _rollForActor(actor, testOptions)
+  {
+    let name = actor.token ? actor.token.data.name : actor.data.name;
+    try
+    {
+      let result = await actor.test(testOptions);
+      result.name = name;
+      return result;
+    }
+    catch (error)
+    {
+      return {name, unable : true, outcome : "failure", SL : "-", description : error.message || error}
+    }
+  }
+
+  /**
+   * Whether an actor can attempt (or assist) a test - Advanced skills cannot be used untrained
+   *
+   * @param {Object} actor    Actor being checked
+   * @param {String} skill    Name of the skill, characteristic tests can always be attempted
+   */
+  static async _canAttempt(actor, skill)
+  {
+    if (!skill || actor.items.find(i => i.type == "skill" && i.name == skill))
+      return true;
+    try
+    {
+      let compendiumSkill = await WFRP_Utility.findSkill(skill);
+      return compendiumSkill.data.data.advanced.value != "adv";
+    }
+    catch (error)
+    {
+      return false;
+    }
+  }
+}
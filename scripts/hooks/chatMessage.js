@@ -1,11 +1,12 @@
 /**
  * Primary use of this hook is to intercept chat commands.
- * /char  - Begin character generation
+ * /char  - Begin character generation (/char wizard - in a window)
  * /table - Roll on a table
  * /cond  - Lookup a condition
  * /name  - Generate a name
  * /avail - Start an item availability test
  * /pay - Player: Remove money from character. GM: Start a payment request
+ * /request - GM: Request a skill test from players
  * /help - display a help message on all the commands above
  */
 Hooks.on("chatMessage", (html, content, msg) => {
@@ -63,7 +64,10 @@ Hooks.on("chatMessage", (html, content, msg) => {
     // Character generation
     else if (command[0] === "/char") {
         // Begin character generation, return false to not display user input of `/char`
-        GeneratorWfrp4e.speciesStage();
+        if ((command[1] || "").toLowerCase() == "wizard")
+          new CharGenWizardWfrp4e().render(true);
+        else
+          GeneratorWfrp4e.speciesStage();
         return false;
     }
     // Name generation
@@ -104,7 +108,7 @@ Hooks.on("chatMessage", (html, content, msg) => {
       {
         let actor = WFRP_Utility.getSpeaker(msg.speaker);
         let money = duplicate(actor.data.items.filter(i => i.type === "money"));
-        money = MarketWfrp4e.payCommand(param,money);
+        money = MarketWfrp4e.payCommand(param,money,actor);
         if(money)
           actor.updateEmbeddedEntity("OwnedItem", money);
       }
@@ -112,6 +116,22 @@ Hooks.on("chatMessage", (html, content, msg) => {
         MarketWfrp4e.generatePayCard(param);
       return false;
     }
+    // Test request
+    else if (command[0] === "/request")
+    {
+      // Possible arguments - [1...]: skill name, [last*]: difficulty
+      if (game.user.isGM)
+        TestRequestWFRP.requestCommand(command.slice(1).filter(c => c))
+      return false;
+    }
+    // Experience award
+    else if (command[0] === "/xp")
+    {
+      // Possible arguments - [1]: amount, [2...]: reason
+      if (game.user.isGM)
+        ExperienceWFRP.awardCommand(command.slice(1).filter(c => c))
+      return false;
+    }
     //Help command
     else if (command[0] === "/help")
     {
@@ -0,0 +1,7 @@
+/**
+ * When a combatant joins a combat in progress, prompt Fear and Terror tests between it and the other combatants
+ */
+Hooks.on("createCombatant", (combat, combatant) => {
+  if (game.user.isGM && combat.data.round != 0 && game.settings.get("wfrp4e", "psychologyAutomation"))
+    PsychologyWFRP.combatantAdded(combat, combatant)
+})
@@ -1,27 +1,36 @@
 /**
  * Applies various logic depending on actor type and created items
  * 
- * Criticals - apply wound values
+ * Criticals - apply wound values, posting the change to chat so it can be undone
  * 
  * Armour, weapons, and wearables - automatically set to worn for non-characters
  * Talents, traits - apply characteristic bonuses if appropriate.
  * 
  * This file also contains deleteOwnedItem, which undoes the talent/trait bonuses
  */
-Hooks.on("createOwnedItem", (actor, item) => {
+Hooks.on("createOwnedItem", (actor, item, options, userId) => {
   try {
-    // If critical, subtract wounds value from actor's
-    if (item.type == "critical")
+    // If critical, subtract wounds value from actor's - only by the user who added it, who posts the change so it can be undone
+    if (item.type == "critical" && userId == game.user._id)
     {
       let newWounds;
       if (item.data.wounds.value.toLowerCase() == "death")
         newWounds = 0;
-      newWounds = actor.data.data.status.wounds.value - Number(item.data.wounds.value)
+      else
+        newWounds = actor.data.data.status.wounds.value - Number(item.data.wounds.value)
       if (newWounds < 0) newWounds = 0; 
 
+      let undoRecord = UndoWFRP.record(actor, {
+        changes : [{path : "data.status.wounds.value", label : game.i18n.localize("Wounds"), from : actor.data.data.status.wounds.value, to : newWounds}],
+        createdItems : [item._id]
+      })
       actor.update({"data.status.wounds.value" : newWounds});
 
-      ui.notifications.notify(`${item.data.wounds.value} ${game.i18n.localize("CHAT.CriticalWoundsApplied")} ${actor.name}`)
+      let appliedMsg = `${item.data.wounds.value} ${game.i18n.localize("CHAT.CriticalWoundsApplied")} ${actor.name}`
+      ui.notifications.notify(appliedMsg)
+      let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><b>${item.name}</b>: ${appliedMsg}</div>`)
+      chatData["flags.undo"] = [undoRecord]
+      ChatMessage.create(chatData)
     }
   }
   catch (error)
@@ -1,5 +1,6 @@
 /**
  * Remove advantage from all combatants when combat ends
+ * Ends the Channelling of combatants that started channelling during the combat
  */
 Hooks.on("deleteCombat", async (combat) => {
     for (let turn of combat.turns)
@@ -7,4 +8,6 @@ Hooks.on("deleteCombat", async (combat) => {
       let actor = canvas.tokens.get(turn.tokenId).actor;
       await actor.update({"data.status.advantage.value" : 0})
     }
+    if (game.user.isGM)
+      await ChannelWFRP.combatEnded(combat)
   })
\ No newline at end of file
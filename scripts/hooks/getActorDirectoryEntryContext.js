@@ -1,5 +1,5 @@
 /**
- * Add right click option to actors to add all basic skills
+ * Add right click option to actors to add all basic skills, and for the GM to award Experience
  */
 Hooks.on("getActorDirectoryEntryContext", async (html, options) => {
     options.push( 
@@ -13,4 +13,14 @@ Hooks.on("getActorDirectoryEntryContext", async (html, options) => {
       }
       
     })
-  })
\ No newline at end of file
+    options.push(
+    {
+      name : game.i18n.localize("XP.Award"),
+      condition: target => game.user.isGM && game.actors.get(target.attr('data-entity-id')).data.type == "character",
+      icon: '<i class="fas fa-star"></i>',
+      callback: target => {
+        const actor = game.actors.get(target.attr('data-entity-id'));
+        ExperienceWFRP.awardDialog([actor]);
+      }
+    })
+  })
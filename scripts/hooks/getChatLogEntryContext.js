@@ -1,6 +1,9 @@
 /**
  * Add right click option to damage chat cards to allow application of damage
  * Add right click option to use fortune point on own rolls
+ * Add right click option to give Advantage to the tokens causing Fear/Terror on failed tests
+ * Add right click option to undo the automated changes recorded in a message (see UndoWFRP)
+ * Add right click options for the GM to add or remove Sin from the speaker of a message (see SinWFRP)
  */
 Hooks.on("getChatLogEntryContext", (html, options) => {
   let canApply = li => li.find(".opposed-card").length && game.user.isGM;
@@ -55,6 +58,21 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
     }
      return result;
   };
+  let canApplyCausedFear = function(li){
+    //GM only, on a failed test, with the tokens causing Fear/Terror selected
+    let message = game.messages.get(li.attr("data-message-id"));
+    return game.user.isGM && AdvantageWFRP.active && canvas.tokens.controlled.length && li.find(".test-data").length
+      && message.data.flags.data && message.data.flags.data.postData.outcome == "failure";
+  };
+  let canUndo = li => UndoWFRP.canUndo(game.messages.get(li.attr("data-message-id")));
+  let canAdjustSin = function(li){
+    //GM only, on messages from an actor on this scene (or not a token) that has Sin
+    let speaker = game.messages.get(li.attr("data-message-id")).data.speaker;
+    if (!game.user.isGM || !speaker.actor || (speaker.token && !canvas.tokens.get(speaker.token)))
+      return false;
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    return !!actor && !!actor.data.data.status.sin;
+  };
   options.push(
     {
       name: game.i18n.localize("CHATOPT.ApplyDamage"),
@@ -63,8 +81,7 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
       callback: li => {
         let cardData = game.messages.get(li.attr("data-message-id")).data.flags.opposeData
         let defenderSpeaker = game.messages.get(li.attr("data-message-id")).data.flags.opposeData.speakerDefend;
-        let updateMsg = ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.NORMAL)
-        OpposedWFRP.updateOpposedMessage(updateMsg, li.attr("data-message-id") );
+        ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.NORMAL, li.attr("data-message-id"))
       }
     },
     {
@@ -74,8 +91,7 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
       callback: li =>  {
         let cardData = game.messages.get(li.attr("data-message-id")).data.flags.opposeData
         let defenderSpeaker = game.messages.get(li.attr("data-message-id")).data.flags.opposeData.speakerDefend;
-        let updateMsg = ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_AP)
-        OpposedWFRP.updateOpposedMessage(updateMsg, li.attr("data-message-id") );
+        ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_AP, li.attr("data-message-id"))
       }
     },
     {
@@ -85,8 +101,7 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
       callback: li =>  {
         let cardData = game.messages.get(li.attr("data-message-id")).data.flags.opposeData
         let defenderSpeaker = game.messages.get(li.attr("data-message-id")).data.flags.opposeData.speakerDefend;
-        let updateMsg = ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_TB)
-        OpposedWFRP.updateOpposedMessage(updateMsg, li.attr("data-message-id") );
+        ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_TB, li.attr("data-message-id"))
       }
     },
     {
@@ -96,8 +111,7 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
       callback: li =>  {
         let cardData = game.messages.get(li.attr("data-message-id")).data.flags.opposeData
         let defenderSpeaker = game.messages.get(li.attr("data-message-id")).data.flags.opposeData.speakerDefend;
-        let updateMsg = ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_ALL)
-        OpposedWFRP.updateOpposedMessage(updateMsg, li.attr("data-message-id") );
+        ActorWfrp4e.applyDamage(defenderSpeaker, cardData, DAMAGE_TYPE.IGNORE_ALL, li.attr("data-message-id"))
       }
     },
     {
@@ -126,5 +140,38 @@ Hooks.on("getChatLogEntryContext", (html, options) => {
         let message = game.messages.get(li.attr("data-message-id"));
         game.user.character.useDarkDeal(message);
       }
+    },
+    {
+      name: game.i18n.localize("CHATOPT.CausedFear"),
+      icon: '<i class="fas fa-ghost"></i>',
+      condition: canApplyCausedFear,
+      callback: li =>  {
+        let message = game.messages.get(li.attr("data-message-id"));
+        AdvantageWFRP.causedFear(message.data.speaker.alias);
+      }
+    },
+    {
+      name: game.i18n.localize("CHATOPT.Undo"),
+      icon: '<i class="fas fa-undo"></i>',
+      condition: canUndo,
+      callback: li =>  {
+        UndoWFRP.undo(game.messages.get(li.attr("data-message-id")));
+      }
+    },
+    {
+      name: game.i18n.localize("CHATOPT.AddSin"),
+      icon: '<i class="fas fa-plus"></i>',
+      condition: canAdjustSin,
+      callback: li =>  {
+        SinWFRP.adjustFromCard(game.messages.get(li.attr("data-message-id")), 1);
+      }
+    },
+    {
+      name: game.i18n.localize("CHATOPT.RemoveSin"),
+      icon: '<i class="fas fa-minus"></i>',
+      condition: canAdjustSin,
+      callback: li =>  {
+        SinWFRP.adjustFromCard(game.messages.get(li.attr("data-message-id")), -1);
+      }
     })
   })
\ No newline at end of file
@@ -1,5 +1,6 @@
 /**
- * Add Status right click option for combat tracker combatants
+ * Add Morrslieb toggle to the lighting controls, and Group Test, Downtime, Corruption exposure (GM), Fear / Terror (GM),
+ * and Next Day (GM) to the token controls
  */
 Hooks.on("getSceneControlButtons", (buttons) => {
     let group = buttons.find(b => b.name == "lighting")
@@ -10,4 +11,48 @@ Hooks.on("getSceneControlButtons", (buttons) => {
       title: canvas.scene.getFlag("wfrp4e", "morrslieb") ? "Morrslieb - Currently On " : "Morrslieb - Currently Off",
       onClick : WFRP_Utility.toggleMorrslieb
     })
-  })
\ No newline at end of file
+
+    let tokenGroup = buttons.find(b => b.name == "token")
+    tokenGroup.tools.push({
+      button: true,
+      icon : "fas fa-users",
+      name: "groupTest",
+      title: game.i18n.localize("GROUPTEST.Title"),
+      onClick : () => GroupTestWFRP.groupTestDialog()
+    })
+    tokenGroup.tools.push({
+      button: true,
+      icon : "fas fa-campground",
+      name: "downtime",
+      title: game.i18n.localize("ENDEAVOUR.Title"),
+      onClick : () => new DowntimeWFRP().render(true)
+    })
+
+    if (game.user.isGM)
+    {
+      tokenGroup.tools.push({
+        button: true,
+        icon : "fas fa-biohazard",
+        name: "corruption",
+        title: game.i18n.localize("CORRUPTION.Title"),
+        onClick : () => CorruptionWFRP.exposureDialog()
+      })
+      tokenGroup.tools.push({
+        button: true,
+        icon : "fas fa-ghost",
+        name: "psychology",
+        title: game.i18n.localize("PSYCHOLOGY.Title"),
+        onClick : () => PsychologyWFRP.triggerSelected()
+      })
+      tokenGroup.tools.push({
+        button: true,
+        icon : "fas fa-sun",
+        name: "nextDay",
+        title: game.i18n.localize("DISEASE.NextDay"),
+        onClick : async () => {
+          await DiseaseWFRP.nextDay()
+          await InjuryWFRP.nextDay()
+        }
+      })
+    }
+  })
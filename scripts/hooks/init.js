@@ -171,6 +171,36 @@ Hooks.once("init", () => {
        default: false,
        type: Boolean
      });
+
+    // Register Advantage automation
+    game.settings.register("wfrp4e", "advantageAutomation", {
+      name: "SETTINGS.AdvantageAutomation",
+      hint: "SETTINGS.AdvantageAutomationHint",
+      scope: "world",
+      config: true,
+      default: true,
+      type: Boolean
+    });
+
+    // Register Advantage reset when not acting
+    game.settings.register("wfrp4e", "advantageNoActionReset", {
+      name: "SETTINGS.AdvantageNoActionReset",
+      hint: "SETTINGS.AdvantageNoActionResetHint",
+      scope: "world",
+      config: true,
+      default: false,
+      type: Boolean
+    });
+  
+    // Register Fear and Terror tests when creatures causing them enter combat or come into view
+    game.settings.register("wfrp4e", "psychologyAutomation", {
+      name: "SETTINGS.PsychologyAutomation",
+      hint: "SETTINGS.PsychologyAutomationHint",
+      scope: "world",
+      config: true,
+      default: true,
+      type: Boolean
+    });
   
     // Register Fast SL rule
     game.settings.register("wfrp4e", "fastSL", {
@@ -253,6 +283,26 @@ Hooks.once("init", () => {
         type: Boolean
       });
 
+      // Register automatic Critical Wounds
+      game.settings.register("wfrp4e", "autoCriticals", {
+        name: "SETTINGS.AutoCriticals",
+        hint: "SETTINGS.AutoCriticalsHint",
+        scope: "world",
+        config: true,
+        default: true,
+        type: Boolean
+      });
+
+      // Register End of Turn Conditions
+      game.settings.register("wfrp4e", "endTurnConditions", {
+        name: "SETTINGS.EndTurnConditions",
+        hint: "SETTINGS.EndTurnConditionsHint",
+        scope: "world",
+        config: true,
+        default: true,
+        type: Boolean
+      });
+
       // Register Round Summary
       game.settings.register("wfrp4e", "displayRoundSummary", {
         name: "SETTINGS.RoundSummary",
@@ -321,6 +371,16 @@ Hooks.once("init", () => {
         default: false,
         type: Boolean
       });
+
+      // Register Endeavour XP discount
+      game.settings.register("wfrp4e", "endeavourDiscount", {
+        name: "SETTINGS.EndeavourDiscount",
+        hint: "SETTINGS.EndeavourDiscountHint",
+        scope: "world",
+        config: true,
+        default: 0,
+        type: Number
+      });
   
     // Pre-load templates
     loadTemplates([
@@ -343,6 +403,8 @@ Hooks.once("init", () => {
       "systems/wfrp4e/templates/actors/creature-main.html",
       "systems/wfrp4e/templates/chat/dialog-constant.html",
       "systems/wfrp4e/templates/chat/test-card.html",
+      "systems/wfrp4e/templates/chat/advantage-log.html",
+      "systems/wfrp4e/templates/chat/overcast.html",
       "systems/wfrp4e/templates/chat/chat-command-display-info.html",
       "systems/wfrp4e/templates/items/item-header.html",
       "systems/wfrp4e/templates/items/item-description.html",
@@ -200,7 +200,7 @@ Combat.prototype._getInitiativeFormula = function(combatant) {
 
 
 
-// Socket Responses - Morrslieb and opposed tests
+// Socket Responses - Morrslieb, opposed tests and test requests
  game.socket.on("system.wfrp4e", data => {
    if (data.type == "morrslieb")
     canvas.draw();
@@ -214,6 +214,32 @@ Combat.prototype._getInitiativeFormula = function(combatant) {
       "flags.oppose": data.payload.opposeFlag
     })
   }
+
+  else if (data.type == "testRequest" && game.user.isGM)
+    TestRequestWFRP.updateRequest(data.payload)
+
+  else if (data.type == "corruptionExposure" && game.user.isGM)
+    CorruptionWFRP.updateExposure(data.payload)
+
+  else if (data.type == "psychologyTest" && game.user.isGM)
+    PsychologyWFRP.updateTest(data.payload)
+
+  else if (data.type == "injuryHealing" && game.user.isGM)
+    InjuryWFRP.applyHealing(data.payload)
+
+  else if (data.type == "advantage" && game.user.isGM)
+    AdvantageWFRP.apply(data.payload.changes, data.payload.undo)
+
+  else if (data.type == "undo" && game.user.isGM)
+    UndoWFRP.revert(data.payload)
+
+  else if (data.type == "spellEffect" && game.user.isGM)
+  {
+    if (data.payload.remove)
+      SpellEffectWFRP.removeEffect(data.payload.speaker, data.payload.remove)
+    else
+      SpellEffectWFRP.addEffect(data.payload.speaker, data.payload.effect)
+  }
  })
 
  if (game.user.isGM)
@@ -0,0 +1,8 @@
+// Add a Character Generation button to the actors tab, opening the wizard (see char-gen-wizard.js)
+Hooks.on('renderActorDirectory', (app, html, data) => {
+  if (!game.user.isGM && !game.user.can("ACTOR_CREATE"))
+    return;
+  let button = $(`<button class="chargen-wizard-button"><i class="fas fa-user-plus"></i> ${game.i18n.localize("CHARGEN.Wizard")}</button>`);
+  button.click(ev => new CharGenWizardWfrp4e().render(true));
+  html.find(".directory-footer").append(button);
+});
@@ -23,6 +23,29 @@ Hooks.on("renderChatMessage", async (app, html, msg) => {
     html.find(".chat-button-player").remove();
   }
 
+  // Only show test request and corruption exposure buttons to the owners of the actor requested
+  html.find(".request-roll, .exposure-roll, .mutation-roll").each(function() {
+    let actor = game.actors.get($(this).attr("data-actor-id"))
+    if (!actor || !actor.owner)
+      $(this).remove();
+  })
+
+  // Only show Fear and Terror test buttons to the owners of the token affected
+  html.find(".psychology-roll").each(function() {
+    let token = canvas.tokens.get($(this).attr("data-token-id"))
+    if (!token || !token.actor || !token.actor.owner)
+      $(this).remove();
+  })
+
+  // Only show condition removal, miscast, spell effect, overcast, and disease test buttons to the owners of the actor speaking
+  let ownerButtons = ".condition-removal, .miscast-roll, .apply-effect, .overcast-button, .overcast-reset, .disease-test"
+  if (html.find(ownerButtons).length)
+  {
+    let actor = WFRP_Utility.getSpeaker(msg.message.speaker)
+    if (!actor || !actor.owner)
+      html.find(ownerButtons).remove();
+  }
+
   // Do not display "Blind" chat cards to non-gm
   if (html.hasClass("blind") && !game.user.isGM)
     html.html("").css("display", "none");
@@ -1,7 +1,17 @@
 // Adds tooltips to conditions in the condition menu
+// Shows the progress of the token's Channelling, if any, with a Cool test to keep concentration (see ChannelWFRP)
 Hooks.on("renderTokenHUD", async (obj, html) => {
   for (let condition of html.find("img.effect-control"))
   {
     condition.title = WFRP_Utility.parseConditions([condition.src])[0]
   }
+
+  let actor = obj.object.actor;
+  let progress = actor ? ChannelWFRP.progress(actor) : null;
+  if (progress)
+  {
+    let channelling = $(`<div class="channelling">${game.i18n.format("CHANNEL.Progress", progress)}<a class="channelling-cool" title="${game.i18n.localize("CHANNEL.CoolTest")}"><i class="fas fa-dice"></i></a></div>`);
+    channelling.find(".channelling-cool").click(() => ChannelWFRP.rollCool(actor));
+    html.append(channelling);
+  }
 })
\ No newline at end of file
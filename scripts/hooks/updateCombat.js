@@ -1,7 +1,11 @@
 /**
  * Displays round/turn summaries as combat turns go by, also focuses on token whose turn is starting
+ * Optionally removes Advantage from combatants who did not act when a round ends
+ * Applies the effects of conditions (Ablaze, Bleeding, Poisoned, Stunned) when a combatant's turn ends
+ * Counts down spell and prayer effects when a round ends
+ * Prompts Fear and Terror tests when combat starts
  */
-Hooks.on("updateCombat", (combat) => {
+Hooks.on("updateCombat", (combat, update) => {
     if (game.user.isGM && combat.data.round != 0 && combat.turns && combat.data.active)
     {
       let turn = combat.turns.find(t => t.tokenId == combat.current.tokenId)
@@ -9,6 +13,18 @@ Hooks.on("updateCombat", (combat) => {
       if (game.settings.get("wfrp4e", "displayRoundSummary") && combat.current.turn == 0 && combat.current.round != 1)
         WFRP_Utility.displayRoundSummary(combat)
 
+      if (game.settings.get("wfrp4e", "advantageNoActionReset") && combat.current.turn == 0 && combat.current.round != 1)
+        AdvantageWFRP.noActionReset(combat)
+
+      if (combat.current.turn == 0 && combat.current.round != 1 && update.round !== undefined)
+        SpellEffectWFRP.endRound(combat)
+
+      if (game.settings.get("wfrp4e", "psychologyAutomation") && combat.current.turn == 0 && update.round == 1)
+        PsychologyWFRP.combatStarted(combat)
+
+      if (game.settings.get("wfrp4e", "endTurnConditions") && (update.turn !== undefined || update.round !== undefined))
+        ConditionTurnWFRP.turnChanged(combat)
+
       if (game.settings.get("wfrp4e", "statusOnTurnStart"))
         WFRP_Utility.displayStatus(turn.token._id, combat.data.round);
   
@@ -0,0 +1,19 @@
+/**
+ * Conditions are actor data displayed as token status effects - when condition icons are toggled on a token (Token HUD),
+ * update the actor's conditions accordingly
+ * When the GM reveals a hidden token, prompt Fear and Terror tests if it causes them
+ */
+Hooks.on("updateToken", (scene, tokenData, updateData, options, userId) => {
+  if (userId != game.user._id || !canvas.scene || scene._id != canvas.scene._id)
+    return
+
+  let token = canvas.tokens.get(tokenData._id)
+  if (!token || !token.actor)
+    return
+
+  if (updateData.effects)
+    token.actor.syncConditions(updateData.effects)
+
+  if (updateData.hidden === false && game.user.isGM && game.settings.get("wfrp4e", "psychologyAutomation"))
+    PsychologyWFRP.cameIntoView(token)
+})
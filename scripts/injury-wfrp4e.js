@@ -0,0 +1,267 @@
+/**
+ * This class tracks the healing of Injuries and Critical Wounds, and the lasting effects of lost or broken body parts.
+ *
+ * Flow:
+ * GM clicks Next Day (token controls) - injuries that heal over time have their healing time rolled (see WFRP4E.injuryHealing),
+ * then count down a day, as do Critical Wounds lasting a number of days
+ * While healing - the card offers Heal tests that shorten the healing time, and Surgery where the wound requires it
+ * Healing time ends - the injury is removed, offering the Endurance test the rules require to see if it healed well (see DiseaseWFRP.rollDailyTest)
+ *
+ * Lost and broken parts (see WFRP4E.injuryEffects) apply test penalties in dialogs, and a lost or broken hand or arm prevents
+ * using two-handed weapons and off-hand (Parry) weapons alongside another weapon (see setupWeapon).
+ *
+ * Healing time is tracked in the item's duration.roll, Surgery in surgery.value (true while Surgery is still needed).
+ */
+class InjuryWFRP
+{
+  /**
+   * Lasting effects of the actor's injuries (see WFRP4E.injuryEffects)
+   *
+   * @param {Object} actor    Injured actor
+   * @returns {Array} {source, effect}
+   */
+  static effects(actor)
+  {
+    let effects = [];
+    for (let injury of actor.items.filter(i => i.type == "injury").map(i => i.data))
+    {
+      let kind = Object.keys(WFRP4E.injuryEffects).find(k => injury.name.startsWith(WFRP4E.injuryEffects[k].name));
+      if (!kind)
+        continue;
+      let location = injury.data.location.value.toLowerCase();
+      let part = Object.keys(WFRP4E.injuryEffects[kind].parts).find(p => location.includes(p));
+      if (part)
+        effects.push({source : `${injury.name} (${injury.data.location.value})`, effect : WFRP4E.injuryEffects[kind].parts[part]});
+    }
+    return effects;
+  }
+
+  /**
+   * Test modifiers caused by the actor's injuries
+   *
+   * @param {Object} actor            Actor tested
+   * @param {String} characteristic   Characteristic the test is based on
+   * @param {String} skill            Name of the skill tested, if any
+   * @returns {Array} Modifiers, {source, value}
+   */
+  static modifiers(actor, characteristic, skill)
+  {
+    let modifiers = [];
+    for (let {source, effect} of this.effects(actor))
+    {
+      for (let penalty of effect.modifiers || [])
+      {
+        if ((penalty.characteristics || []).includes(characteristic) || (skill && (penalty.skills || []).some(n => skill.includes(game.i18n.localize(n)))))
+          modifiers.push({source, value : penalty.value});
+      }
+    }
+    return modifiers;
+  }
+
+  /**
+   * Whether the actor can wield a weapon with the hands they have left
+   *
+   * @param {Object} actor    Actor wielding the weapon
+   * @param {Object} weapon   Weapon item data
+   * @returns {String} Why the weapon cannot be wielded, or undefined if it can
+   */
+  static cannotWield(actor, weapon)
+  {
+    let injury = this.effects(actor).find(e => e.effect.oneHanded);
+    if (!injury)
+      return;
+    if (weapon.data.twohanded.value)
+      return game.i18n.format("INJURY.NoTwoHanded", {injury : injury.source});
+    let otherWeapons = actor.items.filter(i => i.type == "weapon" && i.data.data.equipped && i.data._id != weapon._id);
+    if (weapon.data.weaponGroup.value == "parry" && otherWeapons.length)
+      return game.i18n.format("INJURY.NoOffhand", {injury : injury.source});
+  }
+
+  /**
+   * How an Injury or Critical Wound heals
+   *
+   * @param {Object} item     Injury or Critical Wound item data
+   * @returns {Object} {duration, endTest, heal, surgery} (see WFRP4E.injuryHealing), or undefined if it does not heal over time
+   */
+  static healing(item)
+  {
+    if (item.type == "injury")
+      return WFRP4E.injuryHealing[Object.keys(WFRP4E.injuryHealing).find(name => item.name.startsWith(name))];
+
+    // Critical Wounds heal as their description says - "a -10 penalty for 1d10 days", "Until you receive Surgery"
+    let description = item.data.description.value || "";
+    let duration = description.match(/for\s+(\d*d?\d+)\s+days/i);
+    let surgery = /surgery/i.test(description);
+    if (duration || surgery)
+      return {duration : duration ? `${duration[1]} ${game.i18n.localize("DISEASE.Days")}` : undefined, surgery};
+  }
+
+  /**
+   * A day passes - advance the healing of every injured actor
+   */
+  static async nextDay()
+  {
+    let actors = game.actors.entities.concat(canvas.tokens.placeables.filter(t => t.actor && !t.data.actorLink).map(t => t.actor));
+    for (let actor of actors.filter(a => a.items.find(i => ["injury", "critical"].includes(i.type) && this.healing(i.data))))
+      await this.advance(actor);
+  }
+
+  /**
+   * Advance the healing of the actor's injuries by a day and post their progress
+   *
+   * @param {Object} actor    Injured actor
+   */
+  static async advance(actor)
+  {
+    let injuries = [];
+    let tests = [];
+    let itemChanges = [];
+
+    for (let item of actor.items.filter(i => ["injury", "critical"].includes(i.type)))
+    {
+      let healing = this.healing(item.data);
+      if (!healing)
+        continue;
+      let injury = duplicate(item.data);
+      injury.data.duration = injury.data.duration || {};
+      injury.data.surgery = injury.data.surgery || {value : healing.surgery};
+      // Wounds that only needed Surgery are done healing once they had it
+      if (!healing.duration && !injury.data.surgery.value)
+        continue;
+
+      let status = {id : injury._id, name : injury.name, heal : healing.heal, surgery : injury.data.surgery.value};
+      injuries.push(status);
+
+      if (healing.duration)
+      {
+        if (!injury.data.duration.roll)
+          injury.data.duration.roll = DiseaseWFRP.rollLength(healing.duration.replace("TB", actor.data.data.characteristics.t.bonus));
+        injury.data.duration.roll = DiseaseWFRP.countDown(injury.data.duration.roll);
+
+        if (DiseaseWFRP.days(injury.data.duration.roll) <= 0 && !status.surgery)
+        {
+          status.description = game.i18n.localize("INJURY.Healed");
+          status.heal = false;
+          if (healing.endTest)
+            tests.push({name : injury.name, difficulty : healing.endTest, label : WFRP4E.difficultyLabels[healing.endTest]});
+          await actor.deleteEmbeddedEntity("OwnedItem", injury._id);
+          ui.notifications.notify(game.i18n.format("INJURY.HealedNotice", {name : actor.data.name, injury : injury.name}))
+          continue;
+        }
+        status.description = game.i18n.format("INJURY.Remaining", {duration : injury.data.duration.roll});
+      }
+      else
+        status.description = game.i18n.localize("INJURY.SurgeryNeeded");
+
+      for (let path of ["data.duration.roll", "data.surgery.value"])
+      {
+        let from = getProperty(item.data, path);
+        let to = getProperty(injury, path);
+        if (from != to)
+          itemChanges.push({_id : injury._id, path, label : injury.name, from, to});
+      }
+    }
+
+    if (!injuries.length)
+      return;
+    if (itemChanges.length)
+      await actor.updateEmbeddedEntity("OwnedItem", itemChanges.map(c => {return {_id : c._id, [c.path] : c.to}}));
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/injury-card.html", {name : actor.token ? actor.token.data.name : actor.data.name, injuries, tests});
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    if (itemChanges.length)
+      chatData["flags.undo"] = [UndoWFRP.record(actor, {items : itemChanges})];
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Respond to a healing button on an injury card - the user's character (or controlled token) tests Heal on the injured actor.
+   * A successful Heal test shortens the healing time by 1 day + 1 per SL, a successful Surgery removes the need for it.
+   * Each button can be used once, whether the test succeeds or not.
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollHealing(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    let itemId = $(event.currentTarget).attr("data-item-id");
+    let type = $(event.currentTarget).attr("data-healing");
+    if (this._healingUsed(message, itemId, type))
+      return ui.notifications.error(game.i18n.localize("INJURY.AlreadyTended"))
+    let healer = canvas.tokens.controlled.length ? canvas.tokens.controlled[0].actor : game.user.character;
+    if (!healer)
+      return ui.notifications.error(game.i18n.localize("INJURY.NoHealer"))
+    let skill = healer.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Heal"));
+    if (!skill)
+      return ui.notifications.error(game.i18n.format("Error.UntrainedAdvancedSkill", {skill : game.i18n.localize("NAME.Heal")}))
+
+    let result = await healer.setupSkill(skill.data);
+    if (!result)
+      return;
+
+    let healing = {
+      messageId : message.data._id,
+      speaker : message.data.speaker,
+      itemId,
+      type,
+      passed : result.outcome == "success",
+      SL : Math.max(Number(result.SL) || 0, 0),
+      healer : healer.data.name
+    }
+    // Whoever applies the healing marks the card, so it must be able to update both
+    let patient = WFRP_Utility.getSpeaker(healing.speaker);
+    if (game.user.isGM || (patient && patient.owner && message.data.user == game.user._id))
+      return this.applyHealing(healing);
+    else
+      game.socket.emit("system.wfrp4e", {type : "injuryHealing", payload : healing})
+  }
+
+  /**
+   * Apply a successful Heal test or Surgery to an injury and post it (players who cannot update the patient and the card go through the socket).
+   * The button used is replaced on the injury card by a note, so it cannot be used again.
+   *
+   * @param {Object} healing    messageId (injury card), speaker (patient), itemId, type (heal or surgery), passed, SL, healer
+   */
+  static async applyHealing({messageId, speaker, itemId, type, passed, SL, healer})
+  {
+    let message = game.messages.get(messageId);
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    let item = actor ? actor.getEmbeddedEntity("OwnedItem", itemId) : null;
+    if (!message || !item || this._healingUsed(message, itemId, type))
+      return;
+
+    let content = $(`<div>${message.data.content}</div>`);
+    content.find(`.injury-heal[data-item-id="${itemId}"][data-healing="${type}"]`).replaceWith(`<i>${game.i18n.format("INJURY.Tended", {healer})}</i>`);
+    await message.update({
+      content : content.html(),
+      "flags.healingUsed" : (message.data.flags.healingUsed || []).concat(`${type}.${itemId}`)
+    })
+    if (!passed)
+      return;
+
+    let change;
+    if (type == "surgery")
+      change = {_id : itemId, path : "data.surgery.value", label : item.name, from : true, to : false};
+    else
+    {
+      let from = getProperty(item, "data.duration.roll");
+      if (!from)
+        return;
+      change = {_id : itemId, path : "data.duration.roll", label : item.name, from, to : DiseaseWFRP.countDown(from, 1 + SL)};
+    }
+    await actor.updateEmbeddedEntity("OwnedItem", {_id : itemId, [change.path] : change.to});
+
+    let html = game.i18n.format(type == "surgery" ? "INJURY.SurgeryDone" : "INJURY.HealDone", {healer, injury : item.name, name : actor.data.name, duration : change.to});
+    let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${html}</div></div>`);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    chatData["flags.undo"] = [UndoWFRP.record(actor, {items : [change]})];
+    return ChatMessage.create(chatData);
+  }
+
+  // Whether a healing button of an injury card has been used
+  static _healingUsed(message, itemId, type)
+  {
+    return (message.data.flags.healingUsed || []).includes(`${type}.${itemId}`);
+  }
+}
@@ -128,11 +128,15 @@ class MarketWfrp4e
      * Execute a /pay command and remove the money from the player inventory 
      * @param {String} command 
      * @param {Array} moneyItemInventory
+     * @param {Object} actor Actor paying, used to record the payment so it can be undone
      */
-    static payCommand(command, moneyItemInventory)
+    static payCommand(command, moneyItemInventory, actor = game.user.character)
     {
       //First we parse the command
       let moneyToPay = this.parsePayString(command);
+      let quantitiesBefore = {};
+      for (let m of moneyItemInventory)
+        quantitiesBefore[m._id] = m.data.quantity.value;
       let msg = `<h3><b>${game.i18n.localize("MARKET.PayCommand")}</b></h3>`;
       let errorOccured = false;
       //Wrong command
@@ -241,9 +245,15 @@ class MarketWfrp4e
       else
       {
         msg += game.i18n.format("MARKET.Paid",{number1:moneyToPay.gc,number2:moneyToPay.ss,number3:moneyToPay.bp});
-        msg += `<br><b>${game.i18n.localize("MARKET.PaidBy")}</b> ${game.user.character.name}`;
+        msg += `<br><b>${game.i18n.localize("MARKET.PaidBy")}</b> ${actor.name}`;
       }
-      ChatMessage.create(WFRP_Utility.chatDataSetup(msg,"roll"));
+      let chatData = WFRP_Utility.chatDataSetup(msg,"roll");
+      if(!errorOccured)
+      {
+        let items = moneyItemInventory.map(m => {return {_id:m._id, path:"data.quantity.value", label:m.name, from:quantitiesBefore[m._id], to:m.data.quantity.value}});
+        chatData["flags.undo"] = [UndoWFRP.record(actor, {items:items.filter(i => i.from != i.to)})];
+      }
+      ChatMessage.create(chatData);
       return moneyItemInventory;
     }
 
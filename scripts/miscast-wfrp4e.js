@@ -0,0 +1,142 @@
+/**
+ * This class handles rolling miscasts from cast and channel cards and applying their consequences to the caster.
+ *
+ * Flow:
+ * Casting or Channelling test miscasts - the card shows a Miscast button for the table matching the number of miscasts (see rollCastTest)
+ * Caster clicks the button - the table is rolled, following any entry that rolls again or escalates to another table
+ * Effects defined by the table entries (wounds, corruption, conditions, critical wounds) are applied and listed in a card, with Undo available
+ *
+ * Table entries define their effects in an "effects" object:
+ * {
+ *   wounds     : Wounds lost (formula), ignoring Toughness Bonus and Armour unless applyTB is true
+ *   corruption : Corruption points gained (formula)
+ *   conditions : {condition key : number or formula}
+ *   critical   : Critical Wound to a random location, the value is the modifier (formula)
+ *   roll       : [table names] rolled in addition
+ * }
+ */
+class MiscastWFRP
+{
+  /**
+   * Respond to the Miscast button on a cast or channel card - the miscast is rolled once, the button is then replaced by a note
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollFromCard(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    if (message.data.flags.miscastRolled)
+      return ui.notifications.error(game.i18n.localize("MISCAST.AlreadyRolled"))
+    let actor = WFRP_Utility.getSpeaker(message.data.speaker);
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("MISCAST.NotOwner"))
+
+    let button = $(event.currentTarget);
+    let table = button.attr("data-table");
+    let modifier = parseInt(button.attr("data-modifier")) || 0;
+
+    let content = $(`<div>${message.data.content}</div>`);
+    content.find(".miscast-roll").replaceWith(`<i>${game.i18n.localize("MISCAST.Rolled")}</i>`);
+    await message.update({
+      content : content.html(),
+      "flags.miscastRolled" : true
+    })
+    return this.rollMiscast(actor, table, modifier);
+  }
+
+  /**
+   * Roll a miscast and apply its effects to the caster
+   *
+   * @param {Object} actor      Caster
+   * @param {String} table      minormis, majormis, or catastrophicmis
+   * @param {Number} modifier   Modifier to the roll (miscast mitigation)
+   */
+  static async rollMiscast(actor, table, modifier = 0)
+  {
+    let results = this._roll(table, modifier);
+    let wounds = 0;
+    let corruption = 0;
+    let conditions = {};
+    let criticals = [];
+    let TB = actor.data.data.characteristics.t.bonus;
+
+    for (let result of results)
+    {
+      let effects = result.effects || {};
+      result.applied = [];
+      if (effects.wounds)
+      {
+        let loss = new Roll(effects.wounds).roll().total;
+        if (effects.applyTB)
+          loss = Math.max(loss - TB, 1);
+        wounds += loss;
+        result.applied.push(`${loss} ${game.i18n.localize("Wounds")}`);
+      }
+      if (effects.corruption)
+      {
+        let gain = new Roll(effects.corruption).roll().total;
+        corruption += gain;
+        result.applied.push(`${gain} ${game.i18n.localize("Corruption")}`);
+      }
+      for (let condition in effects.conditions || {})
+      {
+        let value = new Roll(String(effects.conditions[condition])).roll().total;
+        conditions[condition] = (conditions[condition] || 0) + value;
+        result.applied.push(`${value} ${WFRP4E.conditions[condition]}`);
+      }
+      if (effects.critical)
+      {
+        let critModifier = new Roll(effects.critical).roll().total;
+        criticals.push(critModifier);
+        result.applied.push(`${game.i18n.localize("MISCAST.Critical")}${critModifier ? ` (+${critModifier})` : ""}`);
+      }
+    }
+
+    let status = actor.data.data.status;
+    let changes = [];
+    if (wounds)
+      changes.push({path : "data.status.wounds.value", label : game.i18n.localize("Wounds"), from : status.wounds.value, to : Math.max(status.wounds.value - wounds, 0)});
+    if (corruption)
+      changes.push({path : "data.status.corruption.value", label : game.i18n.localize("Corruption"), from : status.corruption.value, to : Number(status.corruption.value) + corruption});
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/miscast-card.html", {name : actor.token ? actor.token.data.name : actor.data.name, results, changes});
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    if (changes.length)
+    {
+      let update = {};
+      for (let change of changes)
+        update[change.path] = change.to;
+      await actor.update(update);
+      chatData["flags.undo"] = [UndoWFRP.record(actor, {changes})];
+    }
+    await ChatMessage.create(chatData);
+
+    for (let condition in conditions)
+      await actor.addCondition(condition, conditions[condition]);
+
+    for (let critModifier of criticals)
+      await CriticalWFRP.rollCritical(actor, WFRP_Tables.rollTable(actor.hitLocationTable()).result, critModifier);
+  }
+
+  /**
+   * Roll on a miscast table, and on any table the result says to roll on as well
+   *
+   * @param {String} table      Table name
+   * @param {Number} modifier   Modifier to the roll
+   * @param {Number} depth      Number of tables rolled before this one, to stop endless rerolls
+   * @returns {Array} Table results, with the name of their table
+   */
+  static _roll(table, modifier = 0, depth = 0)
+  {
+    let result = duplicate(WFRP_Tables.rollTable(table, {modifier, minOne : true}));
+    result.table = WFRP_Tables[table].name;
+    let results = [result];
+    if (result.effects && result.effects.roll && depth < 3)
+    {
+      for (let nextTable of result.effects.roll)
+        results = results.concat(this._roll(nextTable, 0, depth + 1));
+    }
+    return results;
+  }
+}
@@ -53,13 +53,15 @@ class OpposedWFRP
   {
     let attacker = {
       testResult: attackerRollMessage.data.flags.data.postData,
-      speaker: attackerRollMessage.data.speaker
+      speaker: attackerRollMessage.data.speaker,
+      messageId: attackerRollMessage.data._id
     };
     let defender = {
       testResult: defenderRollMessage.data.flags.data.postData,
-      speaker: defenderRollMessage.data.speaker
+      speaker: defenderRollMessage.data.speaker,
+      messageId: defenderRollMessage.data._id
     };
-    this.evaluateOpposedTest(attacker, defender);
+    this.evaluateOpposedTest(attacker, defender, {reroll : [this.rerolledMessage(attackerRollMessage), this.rerolledMessage(defenderRollMessage)]});
   }
 
   /**
@@ -94,7 +96,8 @@ class OpposedWFRP
     // Store defender in object member
     this.defender = {
       testResult: testResult,
-      speaker: message.data.speaker
+      speaker: message.data.speaker,
+      messageId: message.data._id
     }
     //Edit the attacker message to give it a ref to the defender message (used for rerolling)
     game.messages.get(this.attacker.messageId).update(
@@ -116,9 +119,9 @@ class OpposedWFRP
    * 
    * @param {Object} attacker Attacker data
    * @param {Object} defender Defender Data
-   * @param {Object} options Targeted?
+   * @param {Object} options Targeted? Rerolled (ids of the test messages of the earlier evaluation, see previousResult)?
    */
-  static evaluateOpposedTest(attacker, defender, options = {})
+  static async evaluateOpposedTest(attacker, defender, options = {})
   {
     try
     {
@@ -158,10 +161,20 @@ class OpposedWFRP
           };
         }
         if (opposeResult.attackerTestResult.hitloc)
+        {
+          // The location hit is looked up on the defender's body plan (see WFRP4E.hitLocationTables)
+          let hitloc = opposeResult.attackerTestResult.hitloc;
+          let defenderActor = WFRP_Utility.getSpeaker(defender.speaker);
+          if (defenderActor && defenderActor.hitLocationTable() != "hitloc")
+          {
+            hitloc = WFRP_Tables.rollTable(defenderActor.hitLocationTable(), {lookup : hitloc.roll});
+            hitloc.description = game.i18n.localize(hitloc.description);
+          }
           opposeResult.hitloc = {
-            description: `<b>${game.i18n.localize("ROLL.HitLocation")}</b>: ${opposeResult.attackerTestResult.hitloc.description}`,
-            value: opposeResult.attackerTestResult.hitloc.result
+            description: `<b>${game.i18n.localize("ROLL.HitLocation")}</b>: ${hitloc.description}`,
+            value: hitloc.result
           };
+        }
       }
       else // Defender won
       {
@@ -171,6 +184,15 @@ class OpposedWFRP
         opposeResult.img = defender.img
       }
 
+      // Winner gains Advantage, loser loses it all - logged in the result card so the GM can undo it
+      if (AdvantageWFRP.active)
+      {
+        // A rerolled or edited test was evaluated before - the Advantage its earlier result gave is undone first
+        let undone = options.reroll ? await AdvantageWFRP.undoMessage(this.previousResult(options.reroll)) : [];
+        opposeResult.advantage = AdvantageWFRP.opposedChanges(attacker, defender, opposeResult.winner, undone);
+        AdvantageWFRP.apply(opposeResult.advantage);
+      }
+
       // If targeting, Create a new result message
       if (options.target)
       {
@@ -182,6 +204,8 @@ class OpposedWFRP
             content: html,
             "flags.opposeData": opposeResult,
             "flags.startMessageId": options.startMessageId,
+            "flags.advantage": opposeResult.advantage,
+            "flags.opposedMessages": [attacker.messageId, defender.messageId].filter(id => id)
           }
           ChatMessage.create(chatOptions)
         })
@@ -194,7 +218,9 @@ class OpposedWFRP
           let chatOptions = {
             user: game.user._id,
             content: html,
-            "flags.opposeData": opposeResult
+            "flags.opposeData": opposeResult,
+            "flags.advantage": opposeResult.advantage,
+            "flags.opposedMessages": [attacker.messageId, defender.messageId].filter(id => id)
           }
           try
           {
@@ -220,6 +246,29 @@ class OpposedWFRP
     }
   }
 
+  /**
+   * Latest result of an opposed test between test messages, whose Advantage changes have not been undone
+   *
+   * @param {Array} messageIds  Ids of the attacker's and defender's test messages (only the attacker's if unopposed)
+   */
+  static previousResult(messageIds)
+  {
+    return game.messages.entities.filter(m => {
+      let ids = m.data.flags.opposedMessages;
+      return ids && messageIds.every(id => ids.includes(id)) && m.data.flags.advantage && !m.data.flags.advantageUndone;
+    }).pop();
+  }
+
+  /**
+   * Id of the test message a test message rerolled (Fortune, Dark Deal), or its own id if it was edited in place
+   *
+   * @param {Object} message    Test message
+   */
+  static rerolledMessage(message)
+  {
+    return message.data.flags.data.rerolledMessage || message.data._id;
+  }
+
   // Opposed starting message - manual opposed
   static createOpposedStartMessage(speaker)
   {
@@ -235,8 +284,8 @@ class OpposedWFRP
     }).then(msg => this.startMessage = msg)
   }
 
-  // Update starting mesasge with result - manual opposed
-  static updateOpposedMessage(damageConfirmation, msgId)
+  // Update starting mesasge with result - manual opposed. The undo record (see UndoWFRP) of the change is kept in the message
+  static updateOpposedMessage(damageConfirmation, msgId, undoRecord)
   {
     let opposeMessage = game.messages.get(msgId)
     let newCard = {
@@ -244,6 +293,8 @@ class OpposedWFRP
       hideData: true,
       content: $(opposeMessage.data.content).append(`<div>${damageConfirmation}</div>`).html()
     }
+    if (undoRecord)
+      newCard["flags.undo"] = (opposeMessage.data.flags.undo || []).concat(undoRecord)
 
     opposeMessage.update(newCard).then(resultMsg =>
     {
@@ -293,13 +344,15 @@ class OpposedWFRP
         let attacker = {
           speaker: actor.data.flags.oppose.speaker,
           testResult: attackMessage.data.flags.data.postData,
-          img: WFRP_Utility.getSpeaker(actor.data.flags.oppose.speaker).data.img
+          img: WFRP_Utility.getSpeaker(actor.data.flags.oppose.speaker).data.img,
+          messageId: attackMessage.data._id
         };
 
         let defender = {
           speaker: message.data.speaker,
           testResult: testResult,
-          img: actor.data.msg
+          img: actor.data.msg,
+          messageId: message.data._id
         };
         //Edit the attacker message to give it a ref to the defender message (used for rerolling)
         //Have to do it locally if player for permission issues
@@ -440,15 +493,17 @@ class OpposedWFRP
             attacker = {
               speaker: message.data.speaker,
               testResult: message.data.flags.data.postData,
-              img: WFRP_Utility.getSpeaker(message.data.speaker).data.img
+              img: WFRP_Utility.getSpeaker(message.data.speaker).data.img,
+              messageId: message.data._id
             };
             let defenderMessage = game.messages.get(msg);
             defender = {
               speaker: defenderMessage.data.speaker,
               testResult: defenderMessage.data.flags.data.postData,
-              img: WFRP_Utility.getSpeaker(defenderMessage.data.speaker).data.img
+              img: WFRP_Utility.getSpeaker(defenderMessage.data.speaker).data.img,
+              messageId: msg
             };
-            this.evaluateOpposedTest(attacker, defender);
+            this.evaluateOpposedTest(attacker, defender, {reroll : [this.rerolledMessage(message), msg]});
           }
         }
         else //The defender rerolled
@@ -456,15 +511,17 @@ class OpposedWFRP
           defender = {
             speaker:message.data.speaker,
             testResult: message.data.flags.data.postData,
-            img: WFRP_Utility.getSpeaker(message.data.speaker).data.img
+            img: WFRP_Utility.getSpeaker(message.data.speaker).data.img,
+            messageId: message.data._id
           };
           let attackerMessage = game.messages.get(message.data.flags.data.attackerMessage);
           attacker = {
             speaker: attackerMessage.data.speaker,
             testResult: attackerMessage.data.flags.data.postData,
-            img: WFRP_Utility.getSpeaker(attackerMessage.data.speaker).data.img
+            img: WFRP_Utility.getSpeaker(attackerMessage.data.speaker).data.img,
+            messageId: attackerMessage.data._id
           };
-          this.evaluateOpposedTest(attacker, defender);
+          this.evaluateOpposedTest(attacker, defender, {reroll : [attackerMessage.data._id, this.rerolledMessage(message)]});
         }
       }
       //It's an unopposed test reroll
@@ -483,7 +540,7 @@ class OpposedWFRP
         //We retrieve the original startMessage and change it (locally only because of permissions) to start a new unopposed result
         let startMessage = game.messages.get(message.data.flags.data.unopposedStartMessage);
         startMessage.data.flags.unopposeData.attackMessageId = message.data._id;
-        startMessage.data.flags.reroll = true;
+        startMessage.data.flags.reroll = this.rerolledMessage(message);
         this.resolveUnopposed(startMessage);
       }
       //It's a reroll of an ongoing opposed test
@@ -535,6 +592,7 @@ class OpposedWFRP
     let attacker = {
       speaker: attackMessage.data.speaker,
       testResult: attackMessage.data.flags.data.postData,
+      messageId: attackMessage.data._id
     }
     // Organize dummy values for defender
     let target = canvas.tokens.get(unopposeData.targetSpeaker.token)
@@ -555,7 +613,8 @@ class OpposedWFRP
     this.evaluateOpposedTest(attacker, defender,
     {
       target: true,
-      startMessageId: startMessage.data._id
+      startMessageId: startMessage.data._id,
+      reroll: startMessage.data.flags.reroll ? [startMessage.data.flags.reroll] : undefined
     });
     attackMessage.update(
     {
@@ -0,0 +1,106 @@
+/**
+ * This class handles spending Overcasts - every 2 SL over the Casting Number of a successful cast.
+ *
+ * Each Overcast spent on range, area of effect, duration, or targets adds their initial value again (1 Overcast doubles them),
+ * and each one spent on damage adds +1 Damage.
+ *
+ * The options and Overcasts spent are stored in the test result (overcast, see rollCastTest), and the spell card
+ * is rerendered with the new values when the caster spends one.
+ */
+class OvercastWFRP
+{
+  /**
+   * Determine what Overcasts can be spent on - only spell values that are a number can be increased
+   *
+   * @param {Object} spell        Prepared spell (see prepareSpellOrPrayer)
+   * @param {Number} overcasts    Number of Overcasts available
+   * @param {Number} damage       Damage of the cast, if any
+   */
+  static options(spell, overcasts, damage)
+  {
+    let overcast = {
+      total : overcasts,
+      available : overcasts,
+      options : {}
+    }
+
+    if (this._number(spell.range))
+      overcast.options.range = {label : game.i18n.localize("Range"), initial : spell.range, current : spell.range, count : 0};
+    if (this._number(spell.target))
+    {
+      if (spell.data.target.aoe)
+        overcast.options.aoe = {label : game.i18n.localize("AoE"), initial : spell.target, current : spell.target, count : 0};
+      else
+        overcast.options.target = {label : game.i18n.localize("Target"), initial : spell.target, current : spell.target, count : 0};
+    }
+    if (this._number(spell.duration))
+      overcast.options.duration = {label : game.i18n.localize("Duration"), initial : spell.duration, current : spell.duration, count : 0};
+    if (damage)
+      overcast.options.damage = {label : game.i18n.localize("Damage"), initial : damage, current : damage, count : 0};
+
+    return overcast;
+  }
+
+  /**
+   * Respond to the Overcast buttons on a spell card - spend an Overcast on an option, or take them all back
+   *
+   * @param {Object} event    Click event
+   */
+  static async spend(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    let data = duplicate(message.data.flags.data);
+    let testData = data.postData;
+    let overcast = testData.overcast;
+    let choice = $(event.currentTarget).attr("data-overcast");
+
+    if ($(event.currentTarget).hasClass("overcast-reset"))
+    {
+      for (let key in overcast.options)
+        overcast.options[key].count = 0;
+      overcast.available = overcast.total;
+    }
+    else if (overcast.available > 0 && overcast.options[choice])
+    {
+      overcast.options[choice].count++;
+      overcast.available--;
+    }
+    else
+      return;
+    overcast.spent = overcast.available < overcast.total;
+
+    for (let key in overcast.options)
+    {
+      let option = overcast.options[key];
+      if (key == "damage")
+        option.current = option.initial + option.count;
+      else
+        option.current = this._scale(option.initial, option.count + 1);
+    }
+
+    // Keep the values used elsewhere up to date - damage applied in opposed tests, and duration of the spell's effect
+    if (overcast.options.damage)
+      testData.damage = overcast.options.damage.current;
+    if (overcast.options.duration)
+      testData.extra.spell.duration = overcast.options.duration.current;
+
+    let html = await renderTemplate(data.template, {title : data.title, testData, hideData : data.hideData});
+    return message.update({
+      content : html,
+      "flags.data" : data
+    })
+  }
+
+  // First number in a spell value ("46 yards" -> 46)
+  static _number(value)
+  {
+    let match = String(value).match(/\d+/);
+    return match ? Number(match[0]) : 0;
+  }
+
+  // Multiply the first number in a spell value ("AoE (4 yards)", 2 -> "AoE (8 yards)")
+  static _scale(value, multiplier)
+  {
+    return String(value).replace(/\d+/, n => Number(n) * multiplier);
+  }
+}
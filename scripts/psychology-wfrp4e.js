@@ -0,0 +1,340 @@
+/**
+ * This class handles Psychology - the Fear and Terror creatures cause, and the Psychologies characters have towards their targets.
+ *
+ * Flow:
+ * A creature with the Fear or Terror trait enters combat (see updateCombat and createCombatant) or comes into view (see updateToken),
+ * or the GM selects it and clicks Fear / Terror (token controls) - a card is posted with a Cool test for each opposing token
+ * Player clicks Roll - a Challenging Cool test is rolled. Fear is an Extended Test: the Fear condition is gained until the
+ * accumulated SL reaches the rating, when it is removed. Terror is first tested on its own, failing it gives Broken conditions
+ * equal to its rating plus the SL failed by, then Fear is tested as above. Being affected gives Advantage to the creature
+ * (see AdvantageWFRP.causedFear)
+ *
+ * Psychologies (see WFRP4E.psychologyEffects), e.g. Hatred (Greenskins), apply against the targets matching what is in parentheses,
+ * or against anyone if nothing is: bonuses are added to melee weapon tests, restrictions are displayed, and some grant immunity to Fear.
+ * Frenzy only applies while the character is frenzied - the Frenzy control on the sheet tests Willpower to enter it, and ends it.
+ *
+ * Results are written into the card by the GM (players go through the socket).
+ */
+class PsychologyWFRP
+{
+  /**
+   * Whether the actor causes Fear or Terror, Terror taking precedence
+   *
+   * @param {Object} actor    Actor whose traits are checked
+   * @returns {Object} {type (fear or terror), rating}, or undefined if the actor does not cause either
+   */
+  static causes(actor)
+  {
+    let traits = actor.items.filter(i => i.type == "trait");
+    for (let type of ["terror", "fear"])
+    {
+      let name = game.i18n.localize(type == "terror" ? "NAME.Terror" : "NAME.Fear").toLowerCase();
+      let trait = traits.find(t => t.name.toLowerCase() == name);
+      if (trait)
+        return {type, rating : parseInt(trait.data.data.specification.value) || 1};
+    }
+  }
+
+  /**
+   * Post a card for the tokens opposing a creature that causes Fear or Terror to test Cool
+   *
+   * @param {Object} token    Token of the creature
+   * @param {Array}  tokens   Tokens that may be affected, only those opposing the creature are
+   */
+  static async trigger(token, tokens)
+  {
+    let causes = token.actor ? this.causes(token.actor) : undefined;
+    if (!causes)
+      return;
+    let targets = tokens.filter(t => t.actor && t != token && t.data.disposition != 0 && t.data.disposition == -token.data.disposition && !this.immune(t.actor, token));
+    if (!targets.length)
+      return;
+
+    let test = {
+      type : causes.type,
+      rating : causes.rating,
+      causer : this._speaker(token),
+      targets : targets.map(t => this._speaker(t))
+    }
+
+    let chatData = WFRP_Utility.chatDataSetup(await this._renderCard(test), "roll");
+    chatData["flags.psychologyTest"] = test;
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Combat has started - combatants causing Fear or Terror affect the combatants opposing them
+   *
+   * @param {Object} combat     Combat started
+   */
+  static async combatStarted(combat)
+  {
+    let tokens = this._combatTokens(combat);
+    for (let token of tokens)
+      await this.trigger(token, tokens);
+  }
+
+  /**
+   * A combatant joined a combat in progress - it may cause Fear or Terror, or be affected by the combatants that do
+   *
+   * @param {Object} combat       Combat joined
+   * @param {Object} combatant    Combatant data
+   */
+  static async combatantAdded(combat, combatant)
+  {
+    let token = canvas.tokens.get(combatant.tokenId);
+    if (!token)
+      return;
+    let others = this._combatTokens(combat).filter(t => t != token);
+    await this.trigger(token, others);
+    for (let other of others)
+      await this.trigger(other, [token]);
+  }
+
+  /**
+   * A hidden token was revealed - if it causes Fear or Terror, it affects the tokens opposing it on the scene
+   *
+   * @param {Object} token    Token revealed
+   */
+  static cameIntoView(token)
+  {
+    return this.trigger(token, canvas.tokens.placeables);
+  }
+
+  /**
+   * Fear / Terror button (token controls) - the selected creatures affect the tokens opposing them on the scene
+   */
+  static async triggerSelected()
+  {
+    let tokens = canvas.tokens.controlled.filter(t => t.actor && this.causes(t.actor));
+    if (!tokens.length)
+      return ui.notifications.error(game.i18n.localize("PSYCHOLOGY.NoCauser"))
+    for (let token of tokens)
+      await this.trigger(token, canvas.tokens.placeables);
+  }
+
+  /**
+   * Respond to a Roll button on a Fear or Terror card - test Cool for the token's actor
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollTest(event)
+  {
+    let messageId = $(event.currentTarget).parents('.message').attr("data-message-id");
+    let tokenId = $(event.currentTarget).attr("data-token-id");
+    let token = canvas.tokens.get(tokenId);
+    if (!token || !token.actor || !token.actor.owner)
+      return ui.notifications.error(game.i18n.localize("PSYCHOLOGY.NotOwner"))
+
+    let actor = token.actor;
+    let options = {testDifficulty : "challenging"};
+    let result;
+    let skill = actor.items.find(i => i.type == "skill" && i.name == game.i18n.localize("NAME.Cool"));
+    if (skill)
+      result = await actor.setupSkill(skill.data, options);
+    else
+      result = await actor.setupCharacteristic("wp", options);
+
+    if (!result)
+      return;
+    let rollData = {messageId, tokenId, result : {roll : result.roll, SL : result.SL, description : result.description, passed : result.outcome == "success"}};
+    if (game.user.isGM)
+      this.updateTest(rollData)
+    else
+      game.socket.emit("system.wfrp4e", {type : "psychologyTest", payload : rollData})
+  }
+
+  /**
+   * Apply the result of a Cool test against Fear or Terror and write it into the card (GM only, players go through the socket).
+   * The target keeps its Roll button until it is resolved - Terror passed, or the Fear rating reached.
+   *
+   * @param {Object} rollData   messageId, tokenId, and the result
+   */
+  static async updateTest({messageId, tokenId, result})
+  {
+    let message = game.messages.get(messageId);
+    let token = canvas.tokens.get(tokenId);
+    if (!message || !token || !token.actor)
+      return;
+    let test = duplicate(message.data.flags.psychologyTest);
+    let target = test.targets.find(t => t.token == tokenId);
+    if (!target)
+      return;
+
+    let actor = token.actor;
+    let affected = target.conditions && target.conditions.length;
+    target.result = result;
+    target.conditions = target.conditions || [];
+
+    // Terror is tested first, passing it makes the creature not affect the target at all
+    if (test.type == "terror" && !target.terrified)
+    {
+      if (result.passed)
+        target.resolved = true;
+      else
+      {
+        target.terrified = true;
+        let broken = test.rating + Math.max(-Number(result.SL) || 0, 0);
+        await actor.addCondition("broken", broken);
+        target.conditions.push(`${game.i18n.localize(WFRP4E.conditions.broken)} ${broken}`);
+      }
+    }
+    // Fear is an Extended Test, the condition lasts until the accumulated SL reaches the rating
+    else
+    {
+      target.SL = Math.max((target.SL || 0) + (Number(result.SL) || 0), 0);
+      if (target.SL >= test.rating)
+      {
+        target.resolved = true;
+        if (target.afraid)
+          await actor.removeCondition("fear");
+      }
+      else if (!target.afraid)
+      {
+        target.afraid = true;
+        await actor.addCondition("fear");
+        target.conditions.push(game.i18n.localize(WFRP4E.conditions.fear));
+      }
+    }
+
+    let causer = canvas.tokens.get(test.causer.token);
+    if (!affected && target.conditions.length && causer && AdvantageWFRP.active)
+      AdvantageWFRP.causedFear(target.alias, [causer]);
+
+    return message.update({
+      content : await this._renderCard(test),
+      "flags.psychologyTest" : test
+    })
+  }
+
+  /**
+   * Psychologies of the actor that apply against any of the tokens (see WFRP4E.psychologyEffects)
+   *
+   * @param {Object} actor    Actor whose Psychologies are checked
+   * @param {Array}  tokens   Tokens the actor is acting against
+   * @returns {Array} {source, effect}
+   */
+  static effects(actor, tokens)
+  {
+    let effects = [];
+    for (let psychology of actor.items.filter(i => i.type == "psychology").map(i => i.data))
+    {
+      let effect = this.effect(psychology);
+      if (effect && (!effect.frenzied || actor.data.flags.frenzied) && this._matches(psychology, tokens))
+        effects.push({source : psychology.name, effect});
+    }
+    return effects;
+  }
+
+  /**
+   * Effect of a Psychology, matched by the start of its name (see WFRP4E.psychologyEffects)
+   *
+   * @param {Object} psychology   Psychology item data
+   * @returns {Object} Effect, or undefined if the Psychology has none
+   */
+  static effect(psychology)
+  {
+    let key = Object.keys(WFRP4E.psychologyEffects).find(k => psychology.name.startsWith(WFRP4E.psychologyEffects[k].name));
+    return key ? WFRP4E.psychologyEffects[key] : undefined;
+  }
+
+  /**
+   * Frenzy control on the sheet - test Willpower to enter Frenzy, or end it if the character is already frenzied.
+   * While frenzied, the Psychologies requiring it apply (see effects), until the Frenzy is ended.
+   *
+   * @param {Object} actor    Actor entering or leaving Frenzy
+   */
+  static async toggleFrenzy(actor)
+  {
+    if (actor.data.flags.frenzied)
+    {
+      await actor.update({"flags.frenzied" : false});
+      return ui.notifications.notify(game.i18n.format("PSYCHOLOGY.FrenzyEnded", {name : actor.data.name}));
+    }
+
+    let result = await actor.setupCharacteristic("wp");
+    if (result && result.outcome == "success")
+    {
+      await actor.update({"flags.frenzied" : true});
+      ui.notifications.notify(game.i18n.format("PSYCHOLOGY.Frenzied", {name : actor.data.name}));
+    }
+  }
+
+  /**
+   * Whether the actor is immune to the Fear and Terror caused by a creature, e.g. from Hatred of it
+   *
+   * @param {Object} actor    Actor affected
+   * @param {Object} token    Token of the creature causing Fear or Terror
+   */
+  static immune(actor, token)
+  {
+    return this.effects(actor, [token]).some(e => e.effect.immune);
+  }
+
+  /**
+   * Bonuses of the actor's Psychologies to a melee weapon test against the user's targets, and a notice of their restrictions
+   *
+   * @param {Object} actor              Actor attacking
+   * @param {Array}  modifierSources    Sources of the prefilled values, to which the Psychologies are added
+   * @returns {Object} {slBonus, damage}
+   */
+  static weaponModifiers(actor, modifierSources)
+  {
+    let bonuses = {slBonus : 0, damage : 0};
+    let restrictions = [];
+    for (let {source, effect} of this.effects(actor, Array.from(game.user.targets)))
+    {
+      if (effect.slBonus)
+      {
+        bonuses.slBonus += effect.slBonus;
+        modifierSources.push({source, value : `+${effect.slBonus} ${game.i18n.localize("SL")}`});
+      }
+      if (effect.damage)
+      {
+        bonuses.damage += effect.damage;
+        modifierSources.push({source, value : `+${effect.damage} ${game.i18n.localize("Damage")}`});
+      }
+      if (effect.restriction)
+        restrictions.push(`${source}: ${game.i18n.localize(effect.restriction)}`);
+    }
+    if (restrictions.length)
+      ui.notifications.warn(restrictions.join("<br>"));
+    return bonuses;
+  }
+
+  // Psychologies without a target in parentheses apply against anyone, the others against tokens whose name or species match it
+  static _matches(psychology, tokens)
+  {
+    if (!psychology.name.includes("("))
+      return true;
+    let target = psychology.name.split("(")[1].split(")")[0].trim().toLowerCase();
+    return tokens.some(t => t.actor && [t.data.name, t.actor.data.name, t.actor.data.data.details.species.value]
+      .filter(n => n)
+      .map(n => n.toLowerCase())
+      .some(n => target.includes(n) || n.includes(target)));
+  }
+
+  static _combatTokens(combat)
+  {
+    return combat.turns.map(t => canvas.tokens.get(t.tokenId)).filter(t => t && t.actor);
+  }
+
+  static _speaker(token)
+  {
+    return {actor : token.actor.data._id, token : token.data._id, scene : canvas.scene._id, alias : token.data.name};
+  }
+
+  static _renderCard(test)
+  {
+    let title = game.i18n.localize(test.type == "terror" ? "NAME.Terror" : "NAME.Fear");
+    return renderTemplate("systems/wfrp4e/templates/chat/psychology-card.html", {
+      title,
+      causes : game.i18n.format("PSYCHOLOGY.Causes", {name : test.causer.alias, type : title, rating : test.rating}),
+      test : game.i18n.localize("NAME.Cool"),
+      difficulty : WFRP4E.difficultyLabels.challenging,
+      targets : test.targets.map(t => mergeObject({
+        progress : t.SL != undefined ? game.i18n.format("PSYCHOLOGY.Progress", {SL : t.SL, rating : test.rating}) : ""
+      }, t))
+    })
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * This class handles Sin and the Wrath of the Gods.
+ *
+ * Flow:
+ * Pray test is rolled - if the units die is equal to or lower than the priest's Sin (or a failed test rolls a double), Wrath is triggered (see rollPrayTest)
+ * Wrath of the Gods table is rolled automatically, modified by +10 per Sin point, and the priest loses 1 Sin point (see prayerOverride)
+ * The result is posted with the Sin change recorded for Undo
+ *
+ * The GM can also add or remove Sin from the chat cards of a character who transgresses their god's strictures (see getChatLogEntryContext)
+ */
+class SinWFRP
+{
+  /**
+   * Whether a Pray test angers the priest's god - the units die is equal to or lower than their Sin (0 counts as 10)
+   *
+   * @param {Number} roll   Pray test roll
+   * @param {Number} sin    Priest's Sin points
+   */
+  static wrath(roll, sin)
+  {
+    let unitResult = Number(roll.toString().split('').pop())
+    if (unitResult == 0)
+      unitResult = 10;
+    return unitResult <= sin;
+  }
+
+  /**
+   * Roll on the Wrath of the Gods table for the priest, who loses a Sin point
+   *
+   * @param {Object} actor      Priest
+   * @param {Number} modifier   Modifier to the roll, +10 per Sin point
+   */
+  static async rollWrath(actor, modifier = 0)
+  {
+    let result = duplicate(WFRP_Tables.rollTable("wrath", {modifier, minOne : true}));
+    let sin = Number(actor.data.data.status.sin.value) || 0;
+    let changes = [];
+    if (sin > 0)
+      changes.push({path : "data.status.sin.value", label : game.i18n.localize("Sin"), from : sin, to : sin - 1});
+
+    let html = await renderTemplate("systems/wfrp4e/templates/chat/wrath-card.html", {name : this._name(actor), table : WFRP_Tables.wrath.name, result, modifier, changes});
+    let chatData = WFRP_Utility.chatDataSetup(html);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    if (changes.length)
+    {
+      await actor.update({"data.status.sin.value" : sin - 1});
+      chatData["flags.undo"] = [UndoWFRP.record(actor, {changes})];
+    }
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Add (or remove) Sin points from the speaker of a chat card
+   *
+   * @param {Object} message    Chat message whose speaker transgressed
+   * @param {Number} value      Sin points to add, negative to remove
+   */
+  static async adjustFromCard(message, value)
+  {
+    let actor = WFRP_Utility.getSpeaker(message.data.speaker);
+    if (!actor)
+      return ui.notifications.error(game.i18n.localize("SIN.NoActor"))
+    return this.adjust(actor, value);
+  }
+
+  /**
+   * Add (or remove) Sin points and post the change, recorded for Undo
+   *
+   * @param {Object} actor    Actor gaining or losing Sin
+   * @param {Number} value    Sin points to add, negative to remove
+   */
+  static async adjust(actor, value)
+  {
+    let sin = Number(actor.data.data.status.sin.value) || 0;
+    let newSin = Math.max(sin + value, 0);
+    if (newSin == sin)
+      return;
+
+    let change = {path : "data.status.sin.value", label : game.i18n.localize("Sin"), from : sin, to : newSin};
+    await actor.update({"data.status.sin.value" : newSin});
+
+    let html = game.i18n.format(value > 0 ? "SIN.Gained" : "SIN.Removed", {name : this._name(actor), sin : newSin});
+    let chatData = WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${html}</div></div>`);
+    chatData.speaker = ChatMessage.getSpeaker({actor});
+    chatData["flags.undo"] = [UndoWFRP.record(actor, {changes : [change]})];
+    return ChatMessage.create(chatData);
+  }
+
+  static _name(actor)
+  {
+    return actor.token ? actor.token.data.name : actor.data.name;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * This class tracks the effects of spells and prayers that last, such as buffs and Blessings.
+ *
+ * Flow:
+ * Spell is cast or prayer granted - if it has a duration, the card offers to apply it
+ * Caster clicks the button - the effect is added to the targeted tokens (or the caster's, if none are targeted), once per card,
+ * replacing the same spell or prayer if they already had it
+ * Each combat round, effects measured in rounds tick down (see updateCombat), and a chat notice is posted when they expire
+ * GM clicks the remove button of an effect in a combat status card - the effect ends, and is removed from the card
+ *
+ * Effects are stored in the actor's "spellEffects" flag, an array of:
+ * {
+ *   id        : unique id of the effect
+ *   name      : spell or prayer name
+ *   img       : its image, displayed on the actor's tokens
+ *   caster    : name of the caster
+ *   duration  : {value, unit} as cast, e.g. {value : 4, unit : "rounds"}
+ *   remaining : rounds remaining, only for effects measured in rounds
+ * }
+ */
+class SpellEffectWFRP
+{
+  /**
+   * Turn a prepared duration ("4 Rounds", "6 Minutes+") into a value and unit
+   *
+   * @param {String} duration   Duration of the spell or prayer (see prepareSpellOrPrayer)
+   * @returns {Object} {value, unit}, or null if the duration is not a number of units (Instant, Special, etc.)
+   */
+  static parseDuration(duration = "")
+  {
+    let match = duration.match(/(\d+)\s*([^\s+]+)/);
+    if (!match)
+      return null;
+    return {value : Number(match[1]), unit : match[2].toLowerCase()}
+  }
+
+  /**
+   * Whether a duration is measured in rounds, and so ticks down during combat
+   *
+   * @param {Object} duration   {value, unit}
+   */
+  static inRounds(duration)
+  {
+    return !!duration && duration.unit.startsWith(game.i18n.localize("EFFECT.RoundUnit").toLowerCase())
+  }
+
+  /**
+   * Respond to the apply button on a cast or prayer card - add the effect to the targeted tokens
+   *
+   * @param {Object} event    Click event
+   */
+  static async applyFromCard(event)
+  {
+    let message = game.messages.get($(event.currentTarget).parents('.message').attr("data-message-id"));
+    if (message.data.flags.effectApplied)
+      return ui.notifications.error(game.i18n.localize("EFFECT.AlreadyApplied"))
+    // The card must be marked as applied, so that the effect is not applied twice
+    if (!game.user.isGM && message.data.user != game.user._id)
+      return ui.notifications.error(game.i18n.localize("EFFECT.NotCaster"))
+    let testResult = message.data.flags.data.postData;
+    let item = testResult.extra.spell || testResult.extra.prayer;
+    let duration = this.parseDuration(item.duration);
+    if (!duration)
+      return;
+
+    // Without targets, the effect is applied to the caster
+    let tokens = Array.from(game.user.targets);
+    if (!tokens.length && canvas.tokens.get(message.data.speaker.token))
+      tokens = [canvas.tokens.get(message.data.speaker.token)];
+    if (!tokens.length)
+      return ui.notifications.error(game.i18n.localize("EFFECT.NoTargets"))
+
+    let effect = {
+      id : randomID(),
+      name : item.name,
+      img : item.img,
+      caster : message.data.speaker.alias,
+      duration,
+      remaining : this.inRounds(duration) ? duration.value : undefined
+    }
+
+    let content = $(`<div>${message.data.content}</div>`);
+    content.find(".apply-effect").replaceWith(`<i>${game.i18n.localize("EFFECT.Done")}</i>`);
+    await message.update({
+      content : content.html(),
+      "flags.effectApplied" : true
+    })
+
+    for (let token of tokens)
+      await this.addEffect({actor : token.actor.data._id, token : token.data._id, scene : canvas.scene._id}, effect);
+
+    let html = game.i18n.format("EFFECT.Applied", {name : item.name, targets : tokens.map(t => t.data.name).join(", "), duration : `${duration.value} ${duration.unit}`});
+    return ChatMessage.create(WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${html}</div></div>`));
+  }
+
+  /**
+   * Add an effect to an actor, replacing the same spell or prayer if it has it already (effects do not stack).
+   * Players cannot modify actors they do not own, so those are sent to the GM through the socket.
+   *
+   * @param {Object} speaker    Actor (and token) affected
+   * @param {Object} effect     Effect to add
+   */
+  static addEffect(speaker, effect)
+  {
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    if (!actor)
+      return;
+    if (!actor.owner)
+      return game.socket.emit("system.wfrp4e", {type : "spellEffect", payload : {speaker, effect}})
+    return this._setEffects(actor, (actor.data.flags.spellEffects || []).filter(e => e.name != effect.name).concat(effect))
+  }
+
+  /**
+   * At the end of a round, effects measured in rounds lose one round, and those with no rounds remaining expire
+   *
+   * @param {Object} combat     Combat whose round ended
+   */
+  static async endRound(combat)
+  {
+    let processed = [];
+    for (let combatant of combat.turns)
+    {
+      let actor = combatant.actor;
+      if (!actor || !(actor.data.flags.spellEffects || []).some(e => this.inRounds(e.duration)))
+        continue;
+      // Linked actors may have several tokens in combat, but only lose one round
+      let actorKey = actor.isToken ? actor.token.data._id : actor.data._id;
+      if (processed.includes(actorKey))
+        continue;
+      processed.push(actorKey);
+
+      let effects = duplicate(actor.data.flags.spellEffects);
+      let expired = [];
+      for (let effect of effects.filter(e => this.inRounds(e.duration)))
+      {
+        effect.remaining--;
+        if (effect.remaining <= 0)
+          expired.push(effect);
+      }
+      await this._setEffects(actor, effects.filter(e => !expired.includes(e)));
+
+      for (let effect of expired)
+      {
+        let html = game.i18n.format("EFFECT.Expired", {name : effect.name, target : combatant.token ? combatant.token.name : actor.data.name});
+        ChatMessage.create(WFRP_Utility.chatDataSetup(`<div class="wfrp4e chat-card"><div class="card-content">${html}</div></div>`));
+      }
+    }
+  }
+
+  /**
+   * Describe an effect for display, e.g. "Aethyric Armour (3 rounds)"
+   *
+   * @param {Object} effect     Effect to describe
+   */
+  static label(effect)
+  {
+    return `${effect.name} (${this.inRounds(effect.duration) ? effect.remaining : effect.duration.value} ${effect.duration.unit})`
+  }
+
+  /**
+   * Respond to the remove button of an effect in a combat status card - remove the effect, then its line from the card
+   *
+   * @param {Object} event    Click event
+   */
+  static async removeFromCard(event)
+  {
+    let button = $(event.currentTarget);
+    let message = game.messages.get(button.parents('.message').attr("data-message-id"));
+    let id = button.attr("data-effect-id");
+    await this.removeEffect({actor : button.attr("data-actor-id"), token : button.attr("data-token-id")}, id);
+
+    if (!message || (!game.user.isGM && message.data.user != game.user._id))
+      return;
+    let content = $(`<div>${message.data.content}</div>`);
+    content.find(`.effect-remove[data-effect-id="${id}"]`).parent().remove();
+    return message.update({content : content.html()});
+  }
+
+  /**
+   * Remove an effect before it expires (effects not measured in rounds never expire on their own)
+   *
+   * @param {Object} speaker    Actor (and token) affected
+   * @param {String} id         Id of the effect
+   */
+  static removeEffect(speaker, id)
+  {
+    let actor = WFRP_Utility.getSpeaker(speaker);
+    if (!actor)
+      return;
+    if (!actor.owner)
+      return game.socket.emit("system.wfrp4e", {type : "spellEffect", payload : {speaker, remove : id}})
+    return this._setEffects(actor, (actor.data.flags.spellEffects || []).filter(e => e.id != id))
+  }
+
+  // Store the effects and keep the icons of the actor's tokens up to date. Several effects may share an image, so an icon is
+  // only removed once no remaining effect uses it, and never if it is a condition icon.
+  static async _setEffects(actor, effects)
+  {
+    let newIcons = effects.map(e => e.img);
+    let removedIcons = (actor.data.flags.spellEffects || []).map(e => e.img).filter(i => !newIcons.includes(i) && !i.startsWith("systems/wfrp4e/icons/conditions/"));
+    await actor.update({"flags.spellEffects" : effects})
+
+    let tokens = actor.isToken ? [actor.token] : actor.getActiveTokens(true);
+    for (let token of tokens)
+    {
+      let tokenEffects = token.data.effects.filter(i => !removedIcons.includes(i));
+      for (let icon of newIcons)
+      {
+        if (!tokenEffects.includes(icon))
+          tokenEffects.push(icon);
+      }
+      await token.update({effects : tokenEffects})
+    }
+  }
+}
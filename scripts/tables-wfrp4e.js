@@ -118,6 +118,39 @@ class WFRP_Tables
     return table;
   }
 
+  /**
+   * Retrieves a location from a hit location table (see WFRP4E.hitLocationTables).
+   * 
+   * Body plans other than humanoid define their own locations, and each row can specify
+   * which humanoid location's armour protects it (armour) and which critical table it uses (crit).
+   * 
+   * @param {String} location Location key - the result of the table row
+   * @param {String} table Hit location table name
+   * @returns {Object} {result, description, armour, crit}
+   */
+  static hitLocation(location, table = "hitloc")
+  {
+    let rows = (this[table] || this.hitloc || {rows : []}).rows;
+    let row = rows.find(r => r.result == location) || {result : location, description : WFRP4E.locations[location] || location};
+    return {
+      result : row.result,
+      description : game.i18n.localize(row.description),
+      armour : row.armour || row.result,
+      crit : row.crit || this.generalizeTable(row.result)
+    }
+  }
+
+  /**
+   * Retrieves every location of a hit location table, in table order
+   * 
+   * @param {String} table Hit location table name
+   */
+  static hitLocations(table = "hitloc")
+  {
+    let rows = (this[table] || this.hitloc || {rows : []}).rows;
+    return rows.map(r => this.hitLocation(r.result, table));
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -168,6 +201,10 @@ class WFRP_Tables
     switch (table)
     {
       case "hitloc":
+      case "hitloc-quadruped":
+      case "hitloc-winged":
+      case "hitloc-serpentine":
+      case "hitloc-multiheaded":
         return `<b>${this[table].name}</b><br>` + game.i18n.localize(result.description);
       case "crithead":
       case "critbody":
@@ -0,0 +1,174 @@
+/**
+ * This class handles GM test requests - a chat card asking certain actors to roll a skill at a given difficulty.
+ *
+ * Flow:
+ * GM uses /request (or the dialog) - card is posted with a Roll button for each actor requested
+ * Player clicks Roll - the actor's setupSkill dialog opens prefilled with the difficulty
+ * Test is rolled - the result is written into the card (directly if GM, through the socket otherwise)
+ */
+class TestRequestWFRP
+{
+  /**
+   * Show a dialog for the GM to choose the skill, difficulty and actors to request a test from.
+   */
+  static requestDialog()
+  {
+    let dialogData = {
+      actors : this.defaultActors().map(a => {return {id : a.data._id, name : a.data.name}}),
+      difficultyLabels : WFRP4E.difficultyLabels,
+      testDifficulty : "challenging"
+    }
+    renderTemplate("systems/wfrp4e/templates/chat/test-request-dialog.html", dialogData).then(dlg => {
+      new Dialog({
+        title : game.i18n.localize("REQUEST.Title"),
+        content : dlg,
+        buttons : {
+          request : {
+            label : game.i18n.localize("REQUEST.Request"),
+            callback : html => {
+              let actorIds = html.find('[name="actors"]:checked').map(function() {return this.value}).get()
+              this.createRequest(html.find('[name="skill"]').val().trim(), html.find('[name="testDifficulty"]').val(), actorIds.map(id => game.actors.get(id)))
+            }
+          }
+        },
+        default : "request"
+      }).render(true)
+    })
+  }
+
+  /**
+   * Parse the /request command - /request <skill> [difficulty]
+   *
+   * Requests the test from the actors of the controlled tokens, or every player character if none are controlled.
+   *
+   * @param {Array} args    Command arguments (without /request)
+   */
+  static requestCommand(args)
+  {
+    if (!args.length)
+      return this.requestDialog();
+
+    let difficulty = "challenging";
+    let difficultyArg = args[args.length - 1].toLowerCase();
+    if (WFRP4E.difficultyModifiers[difficultyArg] != undefined)
+    {
+      difficulty = difficultyArg;
+      args = args.slice(0, -1);
+    }
+    this.createRequest(args.join(" "), difficulty, this.defaultActors());
+  }
+
+  /**
+   * Post the request card
+   *
+   * @param {String} skill        Name of the skill requested
+   * @param {String} difficulty   Difficulty key (see WFRP4E.difficultyModifiers)
+   * @param {Array}  actors       Actors requested to roll
+   */
+  static async createRequest(skill, difficulty, actors)
+  {
+    actors = actors.filter(a => a);
+    if (!skill || !actors.length)
+      return ui.notifications.error(game.i18n.localize("REQUEST.Error"))
+
+    let request = {
+      skill : skill,
+      difficulty : difficulty,
+      actors : actors.map(a => {return {id : a.data._id, name : a.data.name}})
+    }
+
+    let chatData = WFRP_Utility.chatDataSetup(await this._renderCard(request), "roll");
+    chatData["flags.testRequest"] = request;
+    return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Respond to a Roll button on a request card - roll the skill for the actor and record the result
+   *
+   * @param {Object} event    Click event
+   */
+  static async rollRequested(event)
+  {
+    let messageId = $(event.currentTarget).parents('.message').attr("data-message-id");
+    let message = game.messages.get(messageId);
+    let request = message.data.flags.testRequest;
+    let actor = game.actors.get($(event.currentTarget).attr("data-actor-id"));
+    if (!actor || !actor.owner)
+      return ui.notifications.error(game.i18n.localize("REQUEST.NotOwner"))
+
+    let options = {testDifficulty : request.difficulty};
+    let result;
+    let skill = actor.items.find(i => i.type == "skill" && i.name == request.skill);
+    if (skill)
+      result = await actor.setupSkill(skill.data, options);
+    else
+    {
+      // Untrained, Basic skills are tested with their characteristic
+      let compendiumSkill = await WFRP_Utility.findSkill(request.skill).catch(() => {});
+      if (!compendiumSkill || compendiumSkill.data.data.advanced.value == "adv")
+        return ui.notifications.error(game.i18n.format("Error.UntrainedAdvancedSkill", {skill : request.skill}))
+      result = await actor.setupCharacteristic(compendiumSkill.data.data.characteristic.value, options);
+    }
+
+    if (!result)
+      return;
+
+    let rollData = {
+      messageId : messageId,
+      actorId : actor.data._id,
+      result : {
+        roll : result.roll,
+        SL : result.SL,
+        description : result.description,
+        passed : result.outcome == "success"
+      }
+    }
+
+    if (game.user.isGM)
+      this.updateRequest(rollData)
+    else
+      game.socket.emit("system.wfrp4e", {type : "testRequest", payload : rollData})
+  }
+
+  /**
+   * Write an actor's result into the request card (GM only, players go through the socket)
+   *
+   * @param {Object} rollData   messageId, actorId, and the result to display
+   */
+  static async updateRequest({messageId, actorId, result})
+  {
+    let message = game.messages.get(messageId);
+    if (!message)
+      return;
+    let request = duplicate(message.data.flags.testRequest);
+    let requested = request.actors.find(a => a.id == actorId);
+    if (!requested)
+      return;
+    requested.result = result;
+
+    return message.update({
+      content : await this._renderCard(request),
+      "flags.testRequest" : request
+    })
+  }
+
+  static _renderCard(request)
+  {
+    return renderTemplate("systems/wfrp4e/templates/chat/test-request-card.html", {
+      skill : request.skill,
+      difficulty : WFRP4E.difficultyLabels[request.difficulty],
+      actors : request.actors
+    })
+  }
+
+  /**
+   * Actors requested by default - controlled tokens, otherwise all characters owned by a player
+   */
+  static defaultActors()
+  {
+    let actors = canvas.tokens.controlled.map(t => t.actor).filter(a => a && !a.isToken);
+    if (!actors.length)
+      actors = game.actors.entities.filter(a => a.data.type == "character" && game.users.entities.some(u => !u.isGM && a.hasPerm(u, "OWNER")));
+    return actors;
+  }
+}
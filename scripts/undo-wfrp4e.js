@@ -0,0 +1,164 @@
+/**
+ * This class records automated changes to actors (damage, critical wounds, fortune and corruption spent, money paid)
+ * so they can be reverted from the chat log.
+ *
+ * Each change is an undo record, stored in the "undo" flag (an array) of the chat message describing it:
+ * {
+ *   speaker     : actor (and token) changed
+ *   name        : name of the actor
+ *   changes     : [{path, label, from, to}]         - actor data changed, e.g. "data.status.wounds.value"
+ *   items       : [{_id, path, label, from, to}]    - owned item data changed (money quantities)
+ *   createdItems: [_id]                             - owned items added (critical wounds), deleted on undo
+ *   experience  : [{id, name, amount}]              - Experience log entries (awards, purchases), reverted by ExperienceWFRP.revert()
+ *   undone      : whether this record has been reverted
+ * }
+ *
+ * Undo (chat context menu) reverts the latest record of the message that has not been undone yet.
+ */
+class UndoWFRP
+{
+  /**
+   * Create an undo record
+   *
+   * @param {Object} actor      Actor changed
+   * @param {Object} data       changes, items, createdItems, and experience (see class description)
+   * @returns {Object} undo record
+   */
+  static record(actor, {changes = [], items = [], createdItems = [], experience = []} = {})
+  {
+    return {
+      speaker : {
+        actor : actor.data._id,
+        token : actor.token ? actor.token.data._id : undefined,
+        scene : canvas.scene ? canvas.scene._id : undefined
+      },
+      name : actor.token ? actor.token.data.name : actor.data.name,
+      changes,
+      items,
+      createdItems,
+      experience : experience.map(e => {return {id : e.id, name : e.name, amount : e.amount}})
+    }
+  }
+
+  /**
+   * Describe a record's before/after values, e.g. "Wounds: 12 → 5"
+   *
+   * @param {Object} record     Undo record
+   */
+  static describe(record)
+  {
+    let values = record.changes.concat(record.items).map(c => `${c.label}: ${c.from} &rarr; ${c.to}`)
+      .concat((record.experience || []).map(e => `${e.name}: ${e.amount} ${game.i18n.localize("XP.Amount")}`));
+    return `${record.name} - ${values.join(", ")}`
+  }
+
+  /**
+   * Whether a message has changes that can be undone by the current user (GM or author of the message)
+   *
+   * @param {Object} message    Chat message
+   */
+  static canUndo(message)
+  {
+    return !!(message && message.data.flags.undo && message.data.flags.undo.some(r => !r.undone)
+      && (game.user.isGM || message.data.user == game.user._id))
+  }
+
+  /**
+   * Revert the latest change recorded in a message, and note it in the message
+   *
+   * @param {Object} message    Chat message holding undo records
+   */
+  static async undo(message)
+  {
+    if (!this.canUndo(message))
+      return;
+    let records = duplicate(message.data.flags.undo);
+    let record = records.filter(r => !r.undone).pop();
+
+    await this.revert(record);
+    record.undone = true;
+
+    let content = $(`<div>${message.data.content}</div>`);
+    let card = content.find(".chat-card").first();
+    (card.length ? card : content).append(`<div class="undo-note"><i>${game.i18n.localize("UNDO.Undone")}: ${this.describe(record)}</i></div>`);
+    return message.update({
+      content : content.html(),
+      "flags.undo" : records
+    })
+  }
+
+  /**
+   * Set the recorded values back to what they were before. Numbers are reverted by the amount they were changed by,
+   * so that later changes (e.g. more damage taken) are kept; other values are only reverted if they were not changed since.
+   * Players cannot modify actors they do not own, so those records are sent to the GM through the socket.
+   *
+   * @param {Object} record     Undo record
+   */
+  static async revert(record)
+  {
+    let actor = WFRP_Utility.getSpeaker(record.speaker);
+    if (!actor)
+      return ui.notifications.error(game.i18n.localize("UNDO.NoActor"))
+    if (!actor.owner)
+      return game.socket.emit("system.wfrp4e", {type : "undo", payload : record})
+
+    let skipped = [];
+    if (record.changes.length)
+    {
+      let update = {};
+      for (let change of record.changes)
+      {
+        let value = this._revertedValue(change, actor.data);
+        if (value === undefined)
+          skipped.push(change.label);
+        else
+          update[change.path] = value;
+      }
+      if (Object.keys(update).length)
+        await actor.update(update);
+    }
+    let itemUpdates = [];
+    for (let change of record.items)
+    {
+      let item = actor.getEmbeddedEntity("OwnedItem", change._id);
+      let value = item ? this._revertedValue(change, item) : undefined;
+      if (value === undefined)
+        skipped.push(change.label);
+      else
+        itemUpdates.push({_id : change._id, [change.path] : value});
+    }
+    if (itemUpdates.length)
+      await actor.updateEmbeddedEntity("OwnedItem", itemUpdates);
+    for (let entry of record.experience || [])
+      await ExperienceWFRP.revert(actor, entry.id);
+    for (let id of record.createdItems)
+    {
+      if (actor.getEmbeddedEntity("OwnedItem", id))
+        await actor.deleteEmbeddedEntity("OwnedItem", id);
+    }
+    if (skipped.length)
+      ui.notifications.warn(game.i18n.format("UNDO.Changed", {changes : skipped.join(", ")}))
+  }
+
+  /**
+   * Value a change reverts to. Numbers are reverted by the amount they changed, so later changes are kept,
+   * never going below 0, nor above their maximum if they have one (e.g. Wounds). Other values are only
+   * reverted if they were not changed since.
+   *
+   * @param {Object} change   Recorded change {path, from, to}
+   * @param {Object} data     Current actor or item data the path is in
+   * @returns {*} Value to revert to, or undefined if it cannot be reverted
+   */
+  static _revertedValue(change, data)
+  {
+    let current = getProperty(data, change.path);
+    if (typeof change.from == "number" && typeof change.to == "number" && !isNaN(Number(current)))
+    {
+      let value = Math.max(Number(current) - (change.to - change.from), 0);
+      let max = change.path.endsWith(".value") ? Number(getProperty(data, change.path.replace(/\.value$/, ".max"))) : NaN;
+      return isNaN(max) ? value : Math.min(value, max);
+    }
+    if (JSON.stringify(current) == JSON.stringify(change.to))
+      return change.from;
+  }
+}
@@ -422,6 +422,9 @@ class WFRP_Utility
     let chatData = {
       name: token.name,
       conditions: displayConditions,
+      effects: (token.actor.data.flags.spellEffects || []).map(e => {return {id : e.id, label : SpellEffectWFRP.label(e)}}),
+      actorId: token.actor.data._id,
+      tokenId: token.data._id,
       modifiers: token.actor.data.flags.modifier,
       round: round
     }
@@ -499,37 +502,14 @@ class WFRP_Utility
    */
   static parseConditions(effectList)
   {
-    let conditions = {} // Object to store conditions before returning - stored as {"bleeding" : 5, "prone", true}
-    effectList = effectList.map(function (effect)
-    {
-      // Numeric condition = Bleeding 3
-      let isNumeric = !isNaN(effect[effect.lastIndexOf(".") - 1])
-      // Add numeric condition to existing condition if available, otherwise, add it
-      if (isNumeric)
-      {
-        effect = effect.substring(effect.lastIndexOf("/") + 1)
-        let effectNum = effect.substring(effect.length - 5, effect.length - 4)
-        effect = effect.substring(0, effect.length - 5);
-        if (conditions[effect.toString()])
-          conditions[effect.toString()] += parseInt(effectNum);
-        else
-          conditions[effect.toString()] = parseInt(effectNum);
-      }
-      // Non numeric condition = Prone
-      else
-      {
-        effect = effect.substring(effect.lastIndexOf("/") + 1).substring(0, effect.length - 4);
-        effect = effect.substring(0, effect.length - 4);
-        conditions[effect] = true;
-      }
-    })
+    let conditions = this.countConditions(effectList)
 
     // Turn condition object into array of neat strings
     let returnConditions = [];
     for (let c in conditions)
     {
       let displayValue = (WFRP4E.conditions[c])
-      if (typeof conditions[c] !== "boolean") // Numeric condition
+      if (this.isNumericCondition(c)) // Numeric condition
         displayValue += " " + conditions[c]
       returnConditions.push(displayValue);
     }
@@ -537,6 +517,72 @@ class WFRP_Utility
     return returnConditions;
   }
 
+  /**
+   * Counts the conditions represented by status effect file paths.
+   * 
+   * Example: ".../bleeding4" and ".../bleeding1" and ".../prone" is turned into {"bleeding" : 5, "prone" : 1}
+   * 
+   * @param {Array} effectList List of status effects (png file paths)
+   */
+  static countConditions(effectList)
+  {
+    let conditions = {}
+    for (let effect of effectList)
+    {
+      effect = effect.substring(effect.lastIndexOf("/") + 1, effect.lastIndexOf("."))
+      let effectNum = 1;
+      // Numeric condition = Bleeding 3
+      if (!isNaN(effect[effect.length - 1]))
+      {
+        effectNum = parseInt(effect[effect.length - 1])
+        effect = effect.substring(0, effect.length - 1);
+      }
+      // Other icons, such as spell effects, are not conditions
+      if (!WFRP4E.conditions[effect])
+        continue;
+      // Non numeric condition = Prone
+      conditions[effect] = this.isNumericCondition(effect) ? (conditions[effect] || 0) + effectNum : 1;
+    }
+    return conditions;
+  }
+
+  /**
+   * Whether a condition stacks (Bleeding 3) or is simply present or not (Prone)
+   * 
+   * @param {String} condition  Condition key (see WFRP4E.conditions)
+   */
+  static isNumericCondition(condition)
+  {
+    return CONFIG.statusEffects.includes(`systems/wfrp4e/icons/conditions/${condition}1.png`)
+  }
+
+  /**
+   * Status effect file paths representing conditions, replacing the condition icons in an existing effect list.
+   * 
+   * Numeric conditions are shown with icons adding up to the total (Bleeding 6 is shown as bleeding4 and bleeding2).
+   * 
+   * @param {Array} effectList  Current status effects, non condition effects are kept
+   * @param {Object} conditions Conditions to represent, {condition key : number}
+   */
+  static conditionEffects(effectList, conditions)
+  {
+    let path = "systems/wfrp4e/icons/conditions/"
+    let effects = effectList.filter(e => !e.startsWith(path));
+    for (let condition in conditions)
+    {
+      if (!conditions[condition])
+        continue;
+      if (this.isNumericCondition(condition))
+      {
+        for (let total = conditions[condition]; total > 0; total -= 4)
+          effects.push(`${path}${condition}${Math.min(total, 4)}.png`)
+      }
+      else
+        effects.push(`${path}${condition}.png`)
+    }
+    return effects;
+  }
+
   /**
    * Posts the symptom effects, then secretly posts the treatment to the GM.
    * 